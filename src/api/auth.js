@@ -1,5 +1,5 @@
 import axios from 'axios';
-import { getToken } from '../utils';
+import { getToken, getErrorMessage, notify } from '../utils';
 
 const BASE_URL = import.meta.env.VITE_API_BASE;
 const API_PATH = import.meta.env.VITE_API_PATH;
@@ -12,6 +12,14 @@ const adminApi = axios.create({
     baseURL: `${BASE_URL}/api/${API_PATH}/admin/`,
 });
 
+// VITE_USE_MOCK=true 時改由本機模擬後端回應 (不會送出任何網路請求)
+// 以動態載入避免模擬資料被打包進正式環境
+if (import.meta.env.VITE_USE_MOCK === 'true') {
+    const mockAdapter = (config) => import('../mock/adapter').then((module) => module.mockAdapter(config));
+    authApi.defaults.adapter = mockAdapter;
+    adminApi.defaults.adapter = mockAdapter;
+}
+
 // 設定 interceptor
 const setAuthHeader = (config) => {
     const token = getToken();
@@ -21,15 +29,39 @@ const setAuthHeader = (config) => {
     return config;
 };
 
+// 登入逾時 (401) 的處理方式，由 AuthProvider 在登入後註冊
+let unauthorizedHandler = null;
+
+export const setUnauthorizedHandler = (handler) => {
+    unauthorizedHandler = handler;
+};
+
+// API 錯誤統一推送到通知 (請求設定 silent: true 時由呼叫端自行處理)
+// 登入中收到 401 代表 Token 已失效，交給 unauthorizedHandler 導回登入頁
+// (請求設定 skipAuthRedirect: true 時不處理，例如登入 API 的 401 只代表帳號密碼錯誤)
+const handleError = (error) => {
+    if (error.response?.status === 401 && unauthorizedHandler && !error.config?.skipAuthRedirect) {
+        unauthorizedHandler(error);
+        return Promise.reject(error);
+    }
+    if (!axios.isCancel(error) && !error.config?.silent) {
+        notify.error(getErrorMessage(error));
+    }
+    return Promise.reject(error);
+};
+
 // 設定 interceptor
 adminApi.interceptors.request.use(setAuthHeader);
 authApi.interceptors.request.use(setAuthHeader);
+adminApi.interceptors.response.use((res) => res, handleError);
+authApi.interceptors.response.use((res) => res, handleError);
 
-// 登入 API
-export const loginApi = (account) => authApi.post('admin/signin', account);
+// 登入 API (帳號密碼錯誤同樣回傳 401，不視為登入逾時)
+export const loginApi = (account, config) =>
+    authApi.post('admin/signin', account, { ...config, skipAuthRedirect: true });
 
 // 檢查權限 API
-export const checkAdminApi = () => authApi.post('api/user/check');
+export const checkAdminApi = () => authApi.post('api/user/check', null, { silent: true });
 
 // 登出 API
 export const logoutApi = () => authApi.post('logout');
@@ -0,0 +1,13 @@
+import { adminApi } from './auth';
+
+// 取得優惠券
+export const getCouponsApi = (page) => adminApi.get(`coupons?page=${page}`);
+
+// 新增優惠券
+export const addCouponApi = (data) => adminApi.post('coupon', data);
+
+// 更新優惠券
+export const updateCouponApi = (id, data) => adminApi.put(`coupon/${id}`, data);
+
+// 刪除優惠券
+export const deleteCouponApi = (id) => adminApi.delete(`coupon/${id}`);
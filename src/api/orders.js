@@ -0,0 +1,13 @@
+import { adminApi } from './auth';
+
+// 取得訂單
+export const getOrdersApi = (page) => adminApi.get(`orders?page=${page}`);
+
+// 更新訂單 (付款狀態)
+export const updateOrderApi = (id, data) => adminApi.put(`order/${id}`, data);
+
+// 刪除訂單
+export const deleteOrderApi = (id) => adminApi.delete(`order/${id}`);
+
+// 刪除全部訂單
+export const deleteAllOrdersApi = () => adminApi.delete('orders/all');
@@ -1,16 +1,56 @@
 import { adminApi } from './auth';
+import { getChangedFields } from '../utils';
 
-// 取得產品
-export const getProductsApi = (page) => adminApi.get(`products?page=${page}`);
+// 取得產品 (category 為空時不帶入篩選，config 可帶入 signal 取消請求)
+export const getProductsApi = (page, category = '', config) =>
+    adminApi.get('products', { ...config, params: { page, category: category || undefined } });
+
+// 取得全部產品
+export const getAllProductsApi = (config) => adminApi.get('products/all', config);
 
 // 新增產品
-export const addProductApi = (data) => adminApi.post('product', data);
+export const addProductApi = (data, config) => adminApi.post('product', data, config);
 
 // 更新產品
-export const updateProductApi = (id, data) => adminApi.put(`product/${id}`, data);
+export const updateProductApi = (id, data, config) => adminApi.put(`product/${id}`, data, config);
 
 // 刪除產品
-export const deleteProductApi = (id) => adminApi.delete(`product/${id}`);
+export const deleteProductApi = (id, config) => adminApi.delete(`product/${id}`, config);
+
+// 上傳圖片 (config 可帶入 onUploadProgress、signal)
+export const uploadImageApi = (formData, config) => adminApi.post('upload', formData, config);
+
+// 逐頁取得全部產品 (依 API 分頁順序合併)
+export const getProductsAllPagesApi = async () => {
+    const firstPage = await getProductsApi(1);
+    const { total_pages: totalPages = 1 } = firstPage.data.pagination;
+
+    const restPages = await Promise.all(
+        Array.from({ length: totalPages - 1 }, (_, index) => getProductsApi(index + 2))
+    );
+
+    return [firstPage, ...restPages].flatMap((res) => res.data.products);
+};
+
+// 依 id 排序 (id 依建立時間遞增，需以字元碼比較，localeCompare 會忽略大小寫而排錯)
+const compareIds = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+// 新增產品的 API 不會回傳 id，只取得一次全部產品，為每筆新增的資料找出內容相同的最新一筆 (找不到時為 null)
+// knownIds: 新增前已存在的產品 id，不列入比對；每筆產品只會對應到一筆資料
+export const findAddedProductsApi = async (dataList, knownIds = new Set()) => {
+    const res = await getAllProductsApi({ silent: true });
+    const candidates = Object.values(res.data.products)
+        .filter((product) => !knownIds.has(product.id))
+        .sort(compareIds);
+
+    return dataList.map((data) => {
+        const index = candidates.findLastIndex((product) => getChangedFields(product, data).length === 0);
+        return index === -1 ? null : candidates.splice(index, 1)[0];
+    });
+};
 
-// 上傳圖片
-export const uploadImageApi = (formData) => adminApi.post('upload', formData);
+// 找出單筆新增的產品
+export const findAddedProductApi = async (data) => {
+    const [product] = await findAddedProductsApi([data]);
+    return product;
+};
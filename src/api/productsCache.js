@@ -0,0 +1,122 @@
+import { getProductsApi } from './products';
+
+// 產品分頁快取：先顯示快取的資料，過期時再於背景重新取得
+// 快取在這段時間內視為最新，不會重新取得 (毫秒)
+const STALE_TIME = 10 * 1000;
+
+const cache = new Map(); // key → { page, category, data, fetchedAt, invalidatedAt }
+const prefetching = new Map(); // key → { promise, startedAt, generation }
+// 每次清空快取就遞增，清空前送出的請求回來時不寫入快取
+let generation = 0;
+
+const getKey = (page, category = '') => `${category}|${page}`;
+
+const createRequest = (page, category, config) => ({
+    promise: getProductsApi(page, category, config).then((res) => res.data),
+    startedAt: Date.now(),
+    generation,
+});
+
+// 取得快取的分頁 ({ data, fetchedAt, ... }，data 為 API 的 res.data)
+export const getCachedProductsPage = (page, category = '') => cache.get(getKey(page, category)) ?? null;
+
+// 快取是否需要重新取得
+export const isProductsPageStale = (entry) =>
+    !entry || entry.fetchedAt <= entry.invalidatedAt || Date.now() - entry.fetchedAt > STALE_TIME;
+
+// 取得分頁並寫入快取 (預先載入中的同一頁會直接沿用)
+export const fetchProductsPage = async (page, category = '', config) => {
+    const key = getKey(page, category);
+    const request = prefetching.get(key) ?? createRequest(page, category, config);
+    const data = await request.promise;
+    if (request.generation !== generation) return data;
+
+    const previous = cache.get(key);
+    // 請求送出後才被標記過期的話，寫入後仍維持過期
+    cache.set(key, { page, category, data, fetchedAt: request.startedAt, invalidatedAt: previous?.invalidatedAt ?? 0 });
+    return data;
+};
+
+// 背景預先載入 (已有最新快取時略過，錯誤不通知)
+export const prefetchProductsPage = (page, category = '') => {
+    const key = getKey(page, category);
+    if (prefetching.has(key) || !isProductsPageStale(cache.get(key))) return;
+
+    const request = createRequest(page, category, { silent: true });
+    prefetching.set(key, request);
+    fetchProductsPage(page, category)
+        .catch(() => {
+            // 預先載入失敗時略過，實際切換頁面時會再取得
+        })
+        .finally(() => {
+            // 清空後同一頁可能已有新的預先載入，只移除自己的
+            if (prefetching.get(key) === request) prefetching.delete(key);
+        });
+};
+
+// 標記過期 (下次顯示時會在背景重新取得)
+const markStale = (filter) => {
+    const now = Date.now();
+    cache.forEach((entry) => {
+        if (filter(entry)) entry.invalidatedAt = now;
+    });
+};
+
+// 找出產品所在的頁碼 (依分類篩選條件)，沒有快取時回傳 0
+const findProductPage = (category, id) => {
+    const entry = [...cache.values()].find(
+        (item) => item.category === category && item.data.products.some((product) => product.id === id)
+    );
+    return entry?.page ?? 0;
+};
+
+// 產品從某個篩選條件中移除：所在頁之後的分頁都會往前遞補
+const markRemoved = (category, id) => {
+    const fromPage = findProductPage(category, id) || 1;
+    markStale((entry) => entry.category === category && entry.page >= fromPage);
+};
+
+// 產品異動後，只更新或標記受影響的分頁
+// change: { type: 'add' | 'update' | 'delete', product, previous }，沒有傳入時 (例如批次操作) 全部標記過期
+export const invalidateProductPages = (change) => {
+    if (!change) {
+        markStale(() => true);
+        return;
+    }
+
+    const { type, product, previous = product } = change;
+
+    if (type === 'add') {
+        // 新增的位置無法預測，全部列表與同分類的分頁都標記過期
+        markStale((entry) => entry.category === '' || entry.category === product.category);
+        return;
+    }
+
+    if (type === 'delete') {
+        markRemoved('', product.id);
+        markRemoved(product.category, product.id);
+        return;
+    }
+
+    // 更新：直接替換快取中的產品，分類有變動時再標記分類的分頁
+    cache.forEach((entry) => {
+        if (!entry.data.products.some((item) => item.id === product.id)) return;
+
+        entry.data = {
+            ...entry.data,
+            products: entry.data.products.map((item) => (item.id === product.id ? { ...item, ...product } : item)),
+        };
+    });
+
+    if (previous.category !== product.category) {
+        markRemoved(previous.category, product.id);
+        markStale((entry) => entry.category === product.category);
+    }
+};
+
+// 清空快取 (登出時使用)
+export const clearProductsCache = () => {
+    generation += 1;
+    cache.clear();
+    prefetching.clear();
+};
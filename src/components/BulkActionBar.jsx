@@ -0,0 +1,240 @@
+import { useState } from 'react';
+
+// Utils
+import { runWithConcurrency, getErrorMessage, recordProductHistory, moveToTrash, removeFromTrash } from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// API
+import { updateProductApi, deleteProductApi } from '../api/products';
+
+// 同時送出的請求數量
+const CONCURRENCY_LIMIT = 3;
+
+// 更新單筆產品並寫入異動紀錄
+const updateWithHistory = async (action, product, changes) => {
+    const after = { ...product, ...changes };
+    const res = await updateProductApi(product.id, { data: after }, { silent: true });
+    await recordProductHistory(action, { before: product, after });
+    return res;
+};
+
+// 批次操作 (silent: 單筆錯誤不跳通知，最後統一顯示結果)
+// 名稱與進度文字依 action 對應 bulk.actions.* 與 bulk.running.*
+const bulkActions = {
+    enable: (product) => updateWithHistory('status', product, { is_enabled: 1 }),
+    disable: (product) => updateWithHistory('status', product, { is_enabled: 0 }),
+    category: (product, category) => updateWithHistory('update', product, { category }),
+    delete: async (product) => {
+        // 批次刪除不提供復原通知，改由垃圾桶還原，因此先寫入垃圾桶，失敗時不刪除
+        await moveToTrash(product);
+        try {
+            const res = await deleteProductApi(product.id, { silent: true });
+            await recordProductHistory('delete', { before: product });
+            return res;
+        } catch (error) {
+            // 刪除失敗的產品不留在垃圾桶
+            await removeFromTrash(product.id).catch(() => {});
+            throw error;
+        }
+    },
+};
+
+// BulkActionBar 元件
+const BulkActionBar = ({ selectedProducts, categories, onClearSelection, onComplete }) => {
+    const { t } = useI18n();
+    const [targetCategory, setTargetCategory] = useState('');
+    const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+    const [progress, setProgress] = useState(null); // { action, done, total }
+    const [result, setResult] = useState(null); // { action, category, succeeded, failed }
+
+    const isRunning = progress !== null;
+
+    // 執行批次操作
+    const runAction = async (action, products, category = '') => {
+        const run = bulkActions[action];
+
+        setIsConfirmingDelete(false);
+        setResult(null);
+        setProgress({ action, done: 0, total: products.length });
+
+        const results = await runWithConcurrency(products, (product) => run(product, category), {
+            limit: CONCURRENCY_LIMIT,
+            onProgress: (done, total) => setProgress({ action, done, total }),
+        });
+
+        const succeeded = results.filter((item) => item.status === 'fulfilled').map((item) => item.item);
+        const failed = results
+            .filter((item) => item.status === 'rejected')
+            .map((item) => ({ product: item.item, message: getErrorMessage(item.reason) }));
+
+        setProgress(null);
+        setResult({ action, category, succeeded, failed });
+
+        await onComplete();
+    };
+
+    // 重試失敗的項目
+    const retryFailed = () => {
+        runAction(
+            result.action,
+            result.failed.map((item) => item.product),
+            result.category
+        );
+    };
+
+    if (selectedProducts.length === 0 && !isRunning && !result) return null;
+
+    return (
+        <div className="bulk-action-bar border rounded-2 p-3 mb-3">
+            {isRunning ? (
+                <div>
+                    <div className="d-flex justify-content-between mb-2">
+                        <span>{t(`bulk.running.${progress.action}`)}</span>
+                        <span>
+                            {progress.done} / {progress.total}
+                        </span>
+                    </div>
+                    <div
+                        className="progress"
+                        role="progressbar"
+                        aria-valuenow={progress.done}
+                        aria-valuemin="0"
+                        aria-valuemax={progress.total}
+                    >
+                        <div
+                            className="progress-bar progress-bar-striped progress-bar-animated"
+                            style={{ width: `${(progress.done / progress.total) * 100}%` }}
+                        />
+                    </div>
+                </div>
+            ) : (
+                selectedProducts.length > 0 && (
+                    <div className="d-flex flex-wrap align-items-center gap-2">
+                        <span className="me-2">{t('bulk.selected', { count: selectedProducts.length })}</span>
+                        <button
+                            type="button"
+                            className="btn btn-sm btn-outline-success"
+                            onClick={() => runAction('enable', selectedProducts)}
+                        >
+                            {t('bulk.actions.enable')}
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-sm btn-outline-secondary"
+                            onClick={() => runAction('disable', selectedProducts)}
+                        >
+                            {t('bulk.actions.disable')}
+                        </button>
+                        <div className="input-group input-group-sm bulk-category">
+                            <input
+                                type="text"
+                                className="form-control"
+                                placeholder={t('bulk.newCategory')}
+                                aria-label={t('bulk.newCategory')}
+                                list="bulkCategoryOptions"
+                                value={targetCategory}
+                                onChange={(e) => setTargetCategory(e.target.value)}
+                            />
+                            <datalist id="bulkCategoryOptions">
+                                {categories.map((category) => (
+                                    <option key={category} value={category} />
+                                ))}
+                            </datalist>
+                            <button
+                                type="button"
+                                className="btn btn-outline-primary"
+                                disabled={!targetCategory.trim()}
+                                onClick={() => runAction('category', selectedProducts, targetCategory.trim())}
+                            >
+                                {t('bulk.actions.category')}
+                            </button>
+                        </div>
+                        {isConfirmingDelete ? (
+                            <span className="d-flex align-items-center gap-2">
+                                <span className="text-danger">
+                                    {t('bulk.confirmDelete', { count: selectedProducts.length })}
+                                </span>
+                                <button
+                                    type="button"
+                                    className="btn btn-sm btn-danger text-white"
+                                    onClick={() => runAction('delete', selectedProducts)}
+                                >
+                                    {t('common.confirm')}
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn btn-sm btn-outline-secondary"
+                                    onClick={() => setIsConfirmingDelete(false)}
+                                >
+                                    {t('common.cancel')}
+                                </button>
+                            </span>
+                        ) : (
+                            <button
+                                type="button"
+                                className="btn btn-sm btn-outline-danger"
+                                onClick={() => setIsConfirmingDelete(true)}
+                            >
+                                {t('bulk.actions.delete')}
+                            </button>
+                        )}
+                        <button type="button" className="btn btn-sm btn-link ms-auto" onClick={onClearSelection}>
+                            {t('bulk.clearSelection')}
+                        </button>
+                    </div>
+                )
+            )}
+
+            {/* 執行結果 */}
+            {result && !isRunning && (
+                <div className={`bulk-result ${selectedProducts.length > 0 ? 'border-top mt-3 pt-3' : ''}`}>
+                    <div className="d-flex align-items-center">
+                        <span className="me-auto">
+                            {t('bulk.resultTitle', { action: t(`bulk.actions.${result.action}`) })}
+                            <span className="text-success ms-1">
+                                {t('bulk.succeeded', { count: result.succeeded.length })}
+                            </span>
+                            {result.failed.length > 0 && (
+                                <span className="text-danger ms-2">
+                                    {t('bulk.failed', { count: result.failed.length })}
+                                </span>
+                            )}
+                        </span>
+                        {result.failed.length > 0 && (
+                            <button type="button" className="btn btn-sm btn-outline-danger me-2" onClick={retryFailed}>
+                                {t('bulk.retry')}
+                            </button>
+                        )}
+                        <button
+                            type="button"
+                            className="btn-close"
+                            aria-label={t('common.close')}
+                            onClick={() => setResult(null)}
+                        />
+                    </div>
+                    {result.failed.length > 0 && (
+                        <ul className="small text-danger mb-0 mt-2">
+                            {result.failed.map(({ product, message }) => (
+                                <li key={product.id}>{t('bulk.failedItem', { title: product.title, message })}</li>
+                            ))}
+                        </ul>
+                    )}
+                    {result.succeeded.length > 0 && (
+                        <details className="small text-secondary mt-2">
+                            <summary>{t('bulk.succeededItems')}</summary>
+                            <ul className="mb-0">
+                                {result.succeeded.map((product) => (
+                                    <li key={product.id}>{product.title}</li>
+                                ))}
+                            </ul>
+                        </details>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default BulkActionBar;
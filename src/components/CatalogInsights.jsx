@@ -0,0 +1,246 @@
+import { useState, useRef, useEffect } from 'react';
+
+// Utils
+import { getCatalogInsights, DEFAULT_LOW_STOCK_THRESHOLD, formatNumber, formatCurrency, formatPercent } from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// Store
+import { useProducts } from '../store/ProductsContext';
+
+// API
+import { getProductsAllPagesApi } from '../api/products';
+
+const THRESHOLD_STORAGE_KEY = 'lowStockThreshold';
+
+// 低庫存清單最多顯示幾筆
+const MAX_LOW_STOCK_ITEMS = 8;
+
+// 分類圖表可切換的指標
+const CHART_METRICS = ['count', 'tickets', 'value'];
+
+// 產品資料變動後等待多久才重新取得 (毫秒)，連續的變動只重新取得一次
+const REFETCH_DELAY = 1000;
+
+const getSavedThreshold = () => {
+    const saved = Number(localStorage.getItem(THRESHOLD_STORAGE_KEY));
+    return Number.isInteger(saved) && saved > 0 ? saved : DEFAULT_LOW_STOCK_THRESHOLD;
+};
+
+// 統計數字卡片
+const StatCard = ({ icon, label, value, hint }) => (
+    <div className="col-6 col-xl-3">
+        <div className="insight-stat bg-body shadow-sm rounded-2 p-3 h-100 d-flex align-items-center">
+            <span className="insight-stat-icon material-symbols-outlined rounded-2 p-2 me-3">{icon}</span>
+            <div className="min-w-0">
+                <div className="small text-secondary">{label}</div>
+                <div className="fs-4 fw-bold text-truncate">{value}</div>
+                {hint && <div className="small text-secondary">{hint}</div>}
+            </div>
+        </div>
+    </div>
+);
+
+// CatalogInsights 元件 (全部產品的總覽：數量、庫存價值、平均折扣、分類分布與低庫存清單)
+const CatalogInsights = ({ onSelectProduct }) => {
+    const { catalogVersion, lastUpdatedProduct } = useProducts();
+    const { t } = useI18n();
+
+    const [allProducts, setAllProducts] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [threshold, setThreshold] = useState(getSavedThreshold);
+    // 輸入框保留原始字串，清空或輸入到一半時不強制改成 1
+    const [thresholdInput, setThresholdInput] = useState(() => String(threshold));
+    const [metric, setMetric] = useState('count');
+    const hasLoadedRef = useRef(false);
+    const [prevUpdatedProduct, setPrevUpdatedProduct] = useState(lastUpdatedProduct);
+
+    // 單筆產品更新 (例如切換啟用、行內編輯) 時直接替換該筆資料重新計算
+    if (lastUpdatedProduct !== prevUpdatedProduct) {
+        setPrevUpdatedProduct(lastUpdatedProduct);
+        if (lastUpdatedProduct) {
+            setAllProducts((prev) =>
+                prev.map((product) => (product.id === lastUpdatedProduct.id ? lastUpdatedProduct : product))
+            );
+        }
+    }
+
+    // 產品資料變動時重新取得全部頁面 (第一次立即取得)
+    useEffect(() => {
+        let ignore = false;
+
+        const fetchAllProducts = async () => {
+            setIsLoading(true);
+            try {
+                const products = await getProductsAllPagesApi();
+                if (!ignore) {
+                    hasLoadedRef.current = true;
+                    setAllProducts(products);
+                }
+            } catch {
+                // 錯誤訊息已由 API 攔截器通知
+            } finally {
+                if (!ignore) setIsLoading(false);
+            }
+        };
+        const timer = setTimeout(fetchAllProducts, hasLoadedRef.current ? REFETCH_DELAY : 0);
+
+        return () => {
+            ignore = true;
+            clearTimeout(timer);
+        };
+    }, [catalogVersion]);
+
+    // 輸入為正整數時才套用並儲存
+    const handleThresholdChange = (e) => {
+        const { value } = e.target;
+        setThresholdInput(value);
+        const parsed = Number(value);
+        if (value.trim() !== '' && Number.isInteger(parsed) && parsed > 0) {
+            setThreshold(parsed);
+            localStorage.setItem(THRESHOLD_STORAGE_KEY, parsed);
+        }
+    };
+
+    // 離開輸入框時還原為目前套用的門檻
+    const handleThresholdBlur = () => {
+        setThresholdInput(String(threshold));
+    };
+
+    const insights = getCatalogInsights(allProducts, threshold);
+    const maxMetric = Math.max(...insights.categories.map((category) => category[metric]), 1);
+    const formatMetric = (value) => (metric === 'value' ? formatCurrency(value) : formatNumber(value));
+
+    return (
+        <section className={`catalog-insights mb-4 ${isLoading ? 'is-loading' : ''}`} aria-busy={isLoading}>
+            <div className="row g-3 mb-3">
+                <StatCard
+                    icon="inventory_2"
+                    label={t('insights.total')}
+                    value={formatNumber(insights.total)}
+                    hint={t('insights.enabledSummary', { enabled: insights.enabled, disabled: insights.disabled })}
+                />
+                <StatCard
+                    icon="confirmation_number"
+                    label={t('insights.tickets')}
+                    value={formatNumber(insights.totalTickets)}
+                />
+                <StatCard
+                    icon="payments"
+                    label={t('insights.inventoryValue')}
+                    value={formatCurrency(insights.inventoryValue)}
+                    hint={t('insights.inventoryValueHint')}
+                />
+                <StatCard
+                    icon="sell"
+                    label={t('insights.averageDiscount')}
+                    value={formatPercent(insights.averageDiscount)}
+                    hint={t('insights.averageDiscountHint')}
+                />
+            </div>
+            <div className="row g-3">
+                <div className="col-lg-7">
+                    <div className="bg-body shadow-sm rounded-2 p-3 h-100">
+                        <div className="d-flex align-items-center justify-content-between mb-3">
+                            <h2 className="fs-6 fw-bold mb-0">{t('insights.byCategory')}</h2>
+                            <div className="btn-group btn-group-sm" role="group" aria-label={t('insights.metric')}>
+                                {CHART_METRICS.map((value) => (
+                                    <button
+                                        key={value}
+                                        type="button"
+                                        className={`btn ${metric === value ? 'btn-primary text-white' : 'btn-outline-primary'}`}
+                                        aria-pressed={metric === value}
+                                        onClick={() => setMetric(value)}
+                                    >
+                                        {t(`insights.metrics.${value}`)}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                        {insights.categories.length === 0 ? (
+                            <p className="text-secondary small mb-0">{t('insights.empty')}</p>
+                        ) : (
+                            <ul className="category-chart list-unstyled mb-0">
+                                {insights.categories.map((category) => (
+                                    <li key={category.name} className="category-chart-row">
+                                        <span className="category-chart-label text-truncate" title={category.name}>
+                                            {category.name || t('insights.uncategorized')}
+                                        </span>
+                                        <span className="category-chart-track">
+                                            <span
+                                                className="category-chart-bar"
+                                                style={{ width: `${(category[metric] / maxMetric) * 100}%` }}
+                                            />
+                                        </span>
+                                        <span className="category-chart-value small text-secondary">
+                                            {formatMetric(category[metric])}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                </div>
+                <div className="col-lg-5">
+                    <div className="bg-body shadow-sm rounded-2 p-3 h-100">
+                        <div className="d-flex align-items-center justify-content-between mb-3">
+                            <h2 className="fs-6 fw-bold mb-0">
+                                {t('insights.lowStock')}
+                                <span className="badge rounded-pill bg-warning text-dark ms-2">
+                                    {insights.lowStock.length}
+                                </span>
+                            </h2>
+                            <div className="input-group input-group-sm low-stock-threshold">
+                                <label className="input-group-text" htmlFor="lowStockThreshold">
+                                    {t('insights.threshold')}
+                                </label>
+                                <input
+                                    type="number"
+                                    className="form-control"
+                                    id="lowStockThreshold"
+                                    min="1"
+                                    value={thresholdInput}
+                                    onChange={handleThresholdChange}
+                                    onBlur={handleThresholdBlur}
+                                />
+                            </div>
+                        </div>
+                        {insights.lowStock.length === 0 ? (
+                            <p className="text-secondary small mb-0">{t('insights.noLowStock', { threshold })}</p>
+                        ) : (
+                            <ul className="list-group list-group-flush">
+                                {insights.lowStock.slice(0, MAX_LOW_STOCK_ITEMS).map((product) => (
+                                    <li key={product.id} className="list-group-item px-0 d-flex align-items-center">
+                                        <button
+                                            type="button"
+                                            className="btn btn-link p-0 text-start text-truncate me-auto"
+                                            onClick={() => onSelectProduct(product)}
+                                        >
+                                            {product.title}
+                                        </button>
+                                        <span className="small text-secondary mx-2">{product.category}</span>
+                                        <span
+                                            className={`badge ${Number(product.ticket_quantity) > 0 ? 'bg-warning text-dark' : 'bg-danger'}`}
+                                        >
+                                            {Number(product.ticket_quantity) > 0
+                                                ? formatNumber(product.ticket_quantity)
+                                                : t('insights.soldOut')}
+                                        </span>
+                                    </li>
+                                ))}
+                                {insights.lowStock.length > MAX_LOW_STOCK_ITEMS && (
+                                    <li className="list-group-item px-0 small text-secondary">
+                                        {t('insights.more', { count: insights.lowStock.length - MAX_LOW_STOCK_ITEMS })}
+                                    </li>
+                                )}
+                            </ul>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </section>
+    );
+};
+
+export default CatalogInsights;
@@ -0,0 +1,322 @@
+import { useState, useRef, useEffect } from 'react';
+import { useNavigate } from 'react-router';
+import { Modal } from 'bootstrap';
+
+// Utils
+import { THEMES, THEME_ICONS, setTheme, fuzzyFilter, isModKey, formatShortcutKey } from '../utils';
+
+// i18n
+import { locales, useI18n } from '../i18n';
+
+// Router
+import { navItems } from '../router/navItems';
+
+// API
+import { getAllProductsApi } from '../api/products';
+
+// 搜尋結果最多顯示幾筆產品
+const MAX_PRODUCT_RESULTS = 8;
+
+// 結果分組的顯示順序
+const GROUPS = ['products', 'navigation', 'actions'];
+
+// CommandPalette 元件 (Ctrl / ⌘ + K 開啟，模糊搜尋產品、頁面與常用動作)
+// 選擇的動作會在視窗完全關閉後才執行，避免和接著開啟的產品視窗重疊
+const CommandPalette = ({ isOpen, onClose, onLogout, onShowShortcuts }) => {
+    const navigate = useNavigate();
+    const { t, locale, setLocale } = useI18n();
+
+    const modalRef = useRef(null);
+    const modalInstanceRef = useRef(null);
+    const inputRef = useRef(null);
+    const listRef = useRef(null);
+    const pendingActionRef = useRef(null);
+
+    const [query, setQuery] = useState('');
+    const [activeIndex, setActiveIndex] = useState(0);
+    const [products, setProducts] = useState([]);
+    const [prevIsOpen, setPrevIsOpen] = useState(isOpen);
+
+    // 開啟時清空上一次的搜尋
+    if (isOpen !== prevIsOpen) {
+        setPrevIsOpen(isOpen);
+        if (isOpen) {
+            setQuery('');
+            setActiveIndex(0);
+        }
+    }
+
+    // 建立 Modal 實例，顯示後聚焦搜尋框
+    useEffect(() => {
+        const modalElement = modalRef.current;
+        modalInstanceRef.current = new Modal(modalElement);
+
+        const handleShown = () => inputRef.current?.focus();
+        modalElement.addEventListener('shown.bs.modal', handleShown);
+
+        return () => {
+            modalElement.removeEventListener('shown.bs.modal', handleShown);
+            modalInstanceRef.current.dispose();
+        };
+    }, []);
+
+    // 關閉 (Esc、點擊背景或選擇動作) 後通知外層，並執行選擇的動作
+    useEffect(() => {
+        const modalElement = modalRef.current;
+
+        const handleHidden = () => {
+            const action = pendingActionRef.current;
+            pendingActionRef.current = null;
+            onClose();
+            action?.();
+        };
+        modalElement.addEventListener('hidden.bs.modal', handleHidden);
+
+        return () => {
+            modalElement.removeEventListener('hidden.bs.modal', handleHidden);
+        };
+    }, [onClose]);
+
+    // 依外層狀態開關
+    useEffect(() => {
+        if (isOpen) {
+            modalInstanceRef.current.show();
+        } else {
+            modalInstanceRef.current.hide();
+        }
+    }, [isOpen]);
+
+    // 開啟時取得全部產品
+    useEffect(() => {
+        if (!isOpen) return;
+        let ignore = false;
+
+        const fetchProducts = async () => {
+            try {
+                const res = await getAllProductsApi();
+                if (!ignore) setProducts(Object.values(res.data.products));
+            } catch {
+                // 錯誤訊息已由 API 攔截器通知
+            }
+        };
+        fetchProducts();
+
+        return () => {
+            ignore = true;
+        };
+    }, [isOpen]);
+
+    // 選取的項目保持在可視範圍內
+    useEffect(() => {
+        listRef.current?.querySelector('.active')?.scrollIntoView({ block: 'nearest' });
+    }, [activeIndex, query]);
+
+    const openProduct = (product, mode = '') => navigate(`/products/${product.id}${mode ? `/${mode}` : ''}`);
+
+    const commands = [
+        ...products.map((product) => ({
+            id: `product-${product.id}`,
+            group: 'products',
+            icon: 'airplane_ticket',
+            label: product.title,
+            hint: product.category,
+            searchText: `${product.title} ${product.category}`,
+            product,
+            run: () => openProduct(product),
+        })),
+        ...navItems.map((item) => ({
+            id: `nav-${item.path}`,
+            group: 'navigation',
+            icon: item.icon,
+            label: t(item.titleKey),
+            run: () => navigate(item.path),
+        })),
+        {
+            id: 'new-product',
+            group: 'actions',
+            icon: 'add',
+            label: t('palette.newProduct'),
+            shortcut: ['N'],
+            run: () => navigate('/products/new'),
+        },
+        ...THEMES.map((theme) => ({
+            id: `theme-${theme}`,
+            group: 'actions',
+            icon: THEME_ICONS[theme],
+            label: t('palette.theme', { theme: t(`theme.${theme}`) }),
+            run: () => setTheme(theme),
+        })),
+        ...Object.entries(locales)
+            .filter(([value]) => value !== locale)
+            .map(([value, { label }]) => ({
+                id: `locale-${value}`,
+                group: 'actions',
+                icon: 'translate',
+                label: t('palette.language', { language: label }),
+                run: () => setLocale(value),
+            })),
+        {
+            id: 'shortcuts',
+            group: 'actions',
+            icon: 'keyboard',
+            label: t('palette.shortcuts'),
+            shortcut: ['?'],
+            run: onShowShortcuts,
+        },
+        {
+            id: 'logout',
+            group: 'actions',
+            icon: 'logout',
+            label: t('dashboard.logout'),
+            run: onLogout,
+        },
+    ];
+
+    // 沒有輸入時只列出頁面與動作，輸入後依相符程度排序 (產品最多顯示 MAX_PRODUCT_RESULTS 筆)
+    const matched = query.trim()
+        ? fuzzyFilter(commands, query, (command) => command.searchText ?? command.label)
+        : commands.filter((command) => command.group !== 'products');
+    const results = GROUPS.flatMap((group) =>
+        matched
+            .filter((command) => command.group === group)
+            .slice(0, group === 'products' ? MAX_PRODUCT_RESULTS : undefined)
+    );
+    const currentIndex = Math.min(activeIndex, results.length - 1);
+
+    // 關閉視窗後執行
+    const runCommand = (action) => {
+        pendingActionRef.current = action;
+        modalInstanceRef.current.hide();
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.nativeEvent.isComposing || results.length === 0) return;
+        const active = results[currentIndex];
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setActiveIndex((currentIndex + step + results.length) % results.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (e.shiftKey && active.product) {
+                runCommand(() => openProduct(active.product, 'edit'));
+            } else {
+                runCommand(active.run);
+            }
+        } else if ((e.key === 'Delete' || e.key === 'Backspace') && isModKey(e) && active.product) {
+            e.preventDefault();
+            runCommand(() => openProduct(active.product, 'delete'));
+        }
+    };
+
+    return (
+        <div className="modal fade command-palette" tabIndex="-1" ref={modalRef} aria-label={t('palette.title')}>
+            <div className="modal-dialog modal-lg">
+                <div className="modal-content">
+                    <div className="modal-header">
+                        <span className="material-symbols-outlined text-secondary me-2">search</span>
+                        <input
+                            ref={inputRef}
+                            type="text"
+                            className="form-control border-0 shadow-none"
+                            placeholder={t('palette.placeholder')}
+                            role="combobox"
+                            aria-expanded={results.length > 0}
+                            aria-controls="commandPaletteList"
+                            aria-activedescendant={results[currentIndex] && `command-${results[currentIndex].id}`}
+                            value={query}
+                            onChange={(e) => {
+                                setQuery(e.target.value);
+                                setActiveIndex(0);
+                            }}
+                            onKeyDown={handleKeyDown}
+                        />
+                        <kbd className="ms-2">Esc</kbd>
+                    </div>
+                    <div className="modal-body p-2">
+                        {results.length === 0 ? (
+                            <p className="text-secondary text-center my-3">{t('palette.empty')}</p>
+                        ) : (
+                            <ul className="list-unstyled mb-0" id="commandPaletteList" role="listbox" ref={listRef}>
+                                {results.map((command, index) => {
+                                    const isActive = index === currentIndex;
+                                    const showGroupTitle = index === 0 || results[index - 1].group !== command.group;
+
+                                    return (
+                                        <li key={command.id} role="presentation">
+                                            {showGroupTitle && (
+                                                <div className="command-palette-group small text-secondary px-2 pt-2 pb-1">
+                                                    {t(`palette.groups.${command.group}`)}
+                                                </div>
+                                            )}
+                                            <div
+                                                id={`command-${command.id}`}
+                                                className={`command-palette-item d-flex align-items-center rounded-2 px-2 py-2 ${isActive ? 'active' : ''}`}
+                                                role="option"
+                                                aria-selected={isActive}
+                                                onMouseMove={() => !isActive && setActiveIndex(index)}
+                                                onClick={() => runCommand(command.run)}
+                                            >
+                                                <span className="material-symbols-outlined fs-5 me-2">
+                                                    {command.icon}
+                                                </span>
+                                                <span className="text-truncate me-auto">{command.label}</span>
+                                                {command.hint && (
+                                                    <span className="small text-secondary ms-2">{command.hint}</span>
+                                                )}
+                                                {command.product && (
+                                                    <span className="command-palette-item-actions ms-2">
+                                                        <button
+                                                            type="button"
+                                                            className="btn btn-sm btn-outline-primary py-0 me-1"
+                                                            tabIndex="-1"
+                                                            onClick={(e) => {
+                                                                e.stopPropagation();
+                                                                runCommand(() => openProduct(command.product, 'edit'));
+                                                            }}
+                                                        >
+                                                            {t('palette.edit')}
+                                                        </button>
+                                                        <button
+                                                            type="button"
+                                                            className="btn btn-sm btn-outline-danger py-0"
+                                                            tabIndex="-1"
+                                                            onClick={(e) => {
+                                                                e.stopPropagation();
+                                                                runCommand(() =>
+                                                                    openProduct(command.product, 'delete')
+                                                                );
+                                                            }}
+                                                        >
+                                                            {t('common.delete')}
+                                                        </button>
+                                                    </span>
+                                                )}
+                                                {command.shortcut && (
+                                                    <span className="ms-2">
+                                                        {command.shortcut.map((key) => (
+                                                            <kbd key={key}>{formatShortcutKey(key)}</kbd>
+                                                        ))}
+                                                    </span>
+                                                )}
+                                            </div>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        )}
+                    </div>
+                    <div className="modal-footer justify-content-start small text-secondary py-2">
+                        {t('palette.footer', {
+                            edit: 'Shift + Enter',
+                            delete: `${formatShortcutKey('Mod')} + Delete`,
+                        })}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CommandPalette;
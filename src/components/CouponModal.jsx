@@ -0,0 +1,220 @@
+import { useEffect, useState } from 'react';
+
+// Utils
+import { toDateInputValue, toTimestamp, isExpired, notify } from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// API
+import { addCouponApi, updateCouponApi, deleteCouponApi } from '../api/coupons';
+
+// Modal 相關常數
+const modalConfig = {
+    add: {
+        titleKey: 'coupons.modalTitle.add',
+        headerClass: 'bg-primary',
+    },
+    edit: {
+        titleKey: 'coupons.modalTitle.edit',
+        headerClass: 'bg-primary',
+    },
+    delete: {
+        titleKey: 'coupons.modalTitle.delete',
+        headerClass: 'bg-danger',
+    },
+};
+
+const CouponModal = ({ getCoupons, templateCoupon, modalRef, modalType, closeModal }) => {
+    const { t } = useI18n();
+    const [templateData, setTemplateData] = useState(templateCoupon);
+
+    useEffect(() => {
+        setTemplateData(templateCoupon);
+    }, [templateCoupon]);
+
+    // 拿到 Modal 內的優惠券 input 的 value
+    const handleModalInputChange = (e) => {
+        const { name, value, checked, type } = e.target;
+
+        let newValue = value;
+
+        if (type === 'checkbox') {
+            newValue = checked;
+        } else if (type === 'date') {
+            newValue = toTimestamp(value);
+        } else if (type === 'number') {
+            // 折扣百分比限制在 0 ~ 100 之間
+            if (value === '') {
+                newValue = '';
+            } else {
+                newValue = Math.min(Math.max(Number(value), 0), 100);
+            }
+        }
+
+        setTemplateData((prevData) => ({
+            ...prevData,
+            [name]: newValue,
+        }));
+    };
+
+    const isFormMode = modalType === 'add' || modalType === 'edit';
+
+    // 新增/更新優惠券
+    const updateCoupon = async () => {
+        // 送出的資料
+        const couponData = {
+            data: {
+                ...templateData,
+                percent: Number(templateData.percent), // 轉換為數字
+                is_enabled: templateData.is_enabled ? 1 : 0, // 轉換為數字
+            },
+        };
+        try {
+            let res;
+            if (modalType === 'add') {
+                res = await addCouponApi(couponData);
+                notify.success(t('coupons.added'));
+            } else {
+                res = await updateCouponApi(templateData.id, couponData);
+                notify.success(res.data.message);
+            }
+
+            await getCoupons();
+            closeModal();
+        } catch {
+            // 錯誤訊息已由 API 攔截器通知
+        }
+    };
+
+    // 刪除優惠券
+    const deleteCoupon = async (id) => {
+        try {
+            const res = await deleteCouponApi(id);
+            notify.success(res.data.message);
+
+            await getCoupons();
+            closeModal();
+        } catch {
+            // 錯誤訊息已由 API 攔截器通知
+        }
+    };
+
+    return (
+        <div className="modal fade" tabIndex="-1" ref={modalRef}>
+            <div className="modal-dialog modal-dialog-centered">
+                <div className="modal-content">
+                    <div className={`modal-header text-white ${modalConfig[modalType]?.headerClass}`}>
+                        <h5 className="modal-title fw-bold">
+                            {modalConfig[modalType] && t(modalConfig[modalType].titleKey)}
+                        </h5>
+                        <button type="button" className="btn-close btn-close-white" onClick={closeModal} />
+                    </div>
+                    <div className="modal-body">
+                        {isFormMode ? (
+                            <>
+                                <div className="mb-3">
+                                    <label htmlFor="couponTitle" className="form-label">
+                                        {t('coupons.fields.title')}
+                                    </label>
+                                    <input
+                                        type="text"
+                                        className="form-control"
+                                        id="couponTitle"
+                                        placeholder={t('coupons.placeholders.title')}
+                                        name="title"
+                                        value={templateData.title}
+                                        onChange={handleModalInputChange}
+                                    />
+                                </div>
+                                <div className="mb-3">
+                                    <label htmlFor="couponCode" className="form-label">
+                                        {t('coupons.fields.code')}
+                                    </label>
+                                    <input
+                                        type="text"
+                                        className="form-control"
+                                        id="couponCode"
+                                        placeholder={t('coupons.placeholders.code')}
+                                        name="code"
+                                        value={templateData.code}
+                                        onChange={handleModalInputChange}
+                                    />
+                                </div>
+                                <div className="row">
+                                    <div className="col-6 mb-3">
+                                        <label htmlFor="couponPercent" className="form-label">
+                                            {t('coupons.percentLabel')}
+                                        </label>
+                                        <input
+                                            type="number"
+                                            className="form-control"
+                                            id="couponPercent"
+                                            min="0"
+                                            max="100"
+                                            placeholder={t('coupons.placeholders.percent')}
+                                            name="percent"
+                                            value={templateData.percent}
+                                            onChange={handleModalInputChange}
+                                        />
+                                    </div>
+                                    <div className="col-6 mb-3">
+                                        <label htmlFor="couponDueDate" className="form-label">
+                                            {t('coupons.fields.due_date')}
+                                        </label>
+                                        <input
+                                            type="date"
+                                            className={`form-control ${isExpired(templateData.due_date) ? 'is-invalid' : ''}`}
+                                            id="couponDueDate"
+                                            name="due_date"
+                                            value={toDateInputValue(templateData.due_date)}
+                                            onChange={handleModalInputChange}
+                                        />
+                                        <div className="invalid-feedback">{t('coupons.expiredHint')}</div>
+                                    </div>
+                                </div>
+                                <div className="d-flex align-items-center">
+                                    <label htmlFor="couponIsEnabled" className="form-label me-3 mb-0">
+                                        {t('coupons.fields.is_enabled')}
+                                    </label>
+                                    <div className="form-check form-switch">
+                                        <input
+                                            type="checkbox"
+                                            className="form-check-input"
+                                            id="couponIsEnabled"
+                                            name="is_enabled"
+                                            checked={!!templateData.is_enabled}
+                                            onChange={handleModalInputChange}
+                                        />
+                                    </div>
+                                </div>
+                            </>
+                        ) : (
+                            <p>{t('coupons.confirmDelete', { title: templateData.title })}</p>
+                        )}
+                    </div>
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-outline-secondary" onClick={closeModal}>
+                            {t('common.cancel')}
+                        </button>
+                        {isFormMode ? (
+                            <button type="button" className="btn btn-primary text-white" onClick={updateCoupon}>
+                                {t('common.save')}
+                            </button>
+                        ) : (
+                            <button
+                                type="button"
+                                className="btn btn-danger text-white"
+                                onClick={() => deleteCoupon(templateData.id)}
+                            >
+                                {t('common.delete')}
+                            </button>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CouponModal;
@@ -0,0 +1,129 @@
+import { useState, useRef } from 'react';
+
+// 編輯中的按鍵對應的移動方向 (Enter 移到下一列、Tab 移到下一欄，按住 Shift 反向)
+const getDirection = (e) => {
+    if (e.key === 'Tab') return e.shiftKey ? 'prev' : 'next';
+    return e.shiftKey ? 'up' : 'down';
+};
+
+// EditableCell 元件 (表格行內編輯：雙擊或 Enter 開始編輯，Esc 取消，Enter / Tab 儲存並移到下一格)
+// validate: 回傳錯誤訊息 (沒有錯誤時回傳空字串)，onSave(value, direction) 由外層送出並移動到下一格
+const EditableCell = ({
+    value,
+    display,
+    label,
+    type = 'text',
+    listId,
+    isEditing,
+    validate,
+    onStartEdit,
+    onSave,
+    onCancel,
+}) => {
+    const [draft, setDraft] = useState('');
+    const [error, setError] = useState('');
+    const cellRef = useRef(null);
+    // 已經由按鍵儲存或取消，失去焦點時不再處理
+    const handledRef = useRef(false);
+
+    const [prevIsEditing, setPrevIsEditing] = useState(isEditing);
+
+    // 開始編輯時帶入目前的值
+    if (isEditing !== prevIsEditing) {
+        setPrevIsEditing(isEditing);
+        if (isEditing) {
+            setDraft(String(value ?? ''));
+            setError('');
+        }
+    }
+
+    // 驗證後儲存，有錯誤時留在編輯狀態
+    const save = (direction) => {
+        const message = validate(draft);
+        if (message) {
+            setError(message);
+            return false;
+        }
+        handledRef.current = true;
+        onSave(draft, direction);
+        return true;
+    };
+
+    const cancel = () => {
+        handledRef.current = true;
+        onCancel();
+        cellRef.current?.focus();
+    };
+
+    const handleInputKeyDown = (e) => {
+        // 輸入法選字中的 Enter 不處理
+        if (e.nativeEvent.isComposing) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            cancel();
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            // 沒有下一格時焦點留在原本的格子
+            if (save(getDirection(e))) cellRef.current?.focus();
+        }
+    };
+
+    // 點擊其他地方時儲存 (不移動)，有錯誤時放棄這次的修改
+    const handleBlur = () => {
+        if (handledRef.current) return;
+        if (validate(draft)) {
+            onCancel();
+            return;
+        }
+        onSave(draft, null);
+    };
+
+    const handleCellKeyDown = (e) => {
+        if (!isEditing && e.key === 'Enter') {
+            e.preventDefault();
+            onStartEdit();
+        }
+    };
+
+    return (
+        <td
+            ref={cellRef}
+            className={`editable-cell ${isEditing ? 'is-editing' : ''}`}
+            tabIndex={isEditing ? -1 : 0}
+            title={isEditing ? undefined : label}
+            onDoubleClick={() => !isEditing && onStartEdit()}
+            onKeyDown={handleCellKeyDown}
+        >
+            {isEditing ? (
+                <div className="position-relative">
+                    <input
+                        type={type}
+                        className={`form-control form-control-sm ${error ? 'is-invalid' : ''}`}
+                        value={draft}
+                        list={listId}
+                        aria-label={label}
+                        aria-invalid={!!error}
+                        autoFocus
+                        onFocus={(e) => {
+                            handledRef.current = false;
+                            e.target.select();
+                        }}
+                        onChange={(e) => {
+                            setDraft(e.target.value);
+                            setError('');
+                        }}
+                        onKeyDown={handleInputKeyDown}
+                        onBlur={handleBlur}
+                    />
+                    {error && <div className="invalid-tooltip">{error}</div>}
+                </div>
+            ) : (
+                display
+            )}
+        </td>
+    );
+};
+
+export default EditableCell;
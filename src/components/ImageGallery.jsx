@@ -0,0 +1,291 @@
+import { useState, useRef, useEffect } from 'react';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// 將陣列中的項目從 from 移到 to
+const moveItem = (items, from, to) => {
+    const result = [...items];
+    const [item] = result.splice(from, 1);
+    result.splice(to, 0, item);
+    return result;
+};
+
+// 圖片的 key (同一張圖片重複加入時加上序號區分)
+const getImageKeys = (images) => {
+    const counts = {};
+    return images.map((url) => {
+        counts[url] = (counts[url] || 0) + 1;
+        return `${url}#${counts[url]}`;
+    });
+};
+
+// 燈箱 (檢視原尺寸圖片，左右鍵切換、Esc 關閉)
+const Lightbox = ({ images, index, onChangeIndex, onClose }) => {
+    const dialogRef = useRef(null);
+    const { t } = useI18n();
+
+    useEffect(() => {
+        dialogRef.current?.focus();
+    }, []);
+
+    const showPrev = () => onChangeIndex((index - 1 + images.length) % images.length);
+    const showNext = () => onChangeIndex((index + 1) % images.length);
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            onClose();
+        } else if (e.key === 'ArrowLeft') {
+            showPrev();
+        } else if (e.key === 'ArrowRight') {
+            showNext();
+        }
+    };
+
+    return (
+        <div
+            className="image-lightbox d-flex align-items-center justify-content-center"
+            role="dialog"
+            aria-modal="true"
+            aria-label={t('gallery.lightbox')}
+            tabIndex="-1"
+            ref={dialogRef}
+            onKeyDown={handleKeyDown}
+            onClick={onClose}
+        >
+            <img
+                src={images[index]}
+                alt={t('gallery.sub', { index: index + 1 })}
+                onClick={(e) => e.stopPropagation()}
+            />
+            <span className="image-lightbox-counter">
+                {index + 1} / {images.length}
+            </span>
+            <button
+                type="button"
+                className="btn-close btn-close-white image-lightbox-close"
+                aria-label={t('common.close')}
+            />
+            {images.length > 1 && (
+                <>
+                    <button
+                        type="button"
+                        className="btn image-lightbox-nav prev"
+                        aria-label={t('gallery.prev')}
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            showPrev();
+                        }}
+                    >
+                        <span className="material-symbols-outlined">chevron_left</span>
+                    </button>
+                    <button
+                        type="button"
+                        className="btn image-lightbox-nav next"
+                        aria-label={t('gallery.next')}
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            showNext();
+                        }}
+                    >
+                        <span className="material-symbols-outlined">chevron_right</span>
+                    </button>
+                </>
+            )}
+        </div>
+    );
+};
+
+// ImageGallery 元件 (拖曳或方向鍵排序，第 1 張為主圖)
+const ImageGallery = ({ images, maxImages, onChange }) => {
+    const [dragIndex, setDragIndex] = useState(null);
+    const [overIndex, setOverIndex] = useState(null);
+    const [lightboxIndex, setLightboxIndex] = useState(null);
+    const [announcement, setAnnouncement] = useState(''); // 給螢幕閱讀器的排序結果
+    const [focusIndex, setFocusIndex] = useState(null);
+    const itemRefs = useRef([]);
+    const { t } = useI18n();
+
+    const keys = getImageKeys(images);
+
+    // 鍵盤排序後，讓焦點跟著圖片移動
+    useEffect(() => {
+        if (focusIndex === null) return;
+        itemRefs.current[focusIndex]?.focus();
+    }, [focusIndex, images]);
+
+    const reorder = (from, to) => {
+        if (from === to || to < 0 || to >= images.length) return;
+
+        onChange(moveItem(images, from, to));
+        setFocusIndex(null);
+        setAnnouncement(
+            to === 0 ? t('gallery.movedToMain', { index: from + 1 }) : t('gallery.moved', { index: to + 1 })
+        );
+    };
+
+    const removeImage = (index) => {
+        onChange(images.filter((_, i) => i !== index));
+        setFocusIndex(null);
+        setAnnouncement(t('gallery.removed', { index: index + 1 }));
+    };
+
+    const handleDragStart = (e, index) => {
+        setDragIndex(index);
+        e.dataTransfer.effectAllowed = 'move';
+    };
+
+    const handleDragOver = (e, index) => {
+        if (dragIndex === null) return;
+        e.preventDefault();
+        setOverIndex(index);
+    };
+
+    const handleDrop = (e, index) => {
+        e.preventDefault();
+        if (dragIndex !== null) reorder(dragIndex, index);
+        setDragIndex(null);
+        setOverIndex(null);
+    };
+
+    const handleDragEnd = () => {
+        setDragIndex(null);
+        setOverIndex(null);
+    };
+
+    // 方向鍵：左右移動、Home 設為主圖；Enter 檢視大圖；Delete 刪除
+    const handleKeyDown = (e, index) => {
+        if (e.target !== e.currentTarget) return;
+
+        const targets = {
+            ArrowLeft: index - 1,
+            ArrowUp: index - 1,
+            ArrowRight: index + 1,
+            ArrowDown: index + 1,
+            Home: 0,
+            End: images.length - 1,
+        };
+
+        if (e.key in targets) {
+            e.preventDefault();
+            const to = targets[e.key];
+            if (to < 0 || to >= images.length) return;
+            reorder(index, to);
+            setFocusIndex(to);
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            setLightboxIndex(index);
+        } else if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            removeImage(index);
+        }
+    };
+
+    return (
+        <>
+            <p className="small text-secondary mb-2">{t('gallery.hint')}</p>
+            <div
+                id="imagesContainer"
+                className="d-flex flex-wrap gap-2"
+                role="list"
+                aria-label={t('product.uploadedImages')}
+            >
+                {/* 渲染已存在的圖片 (包含主圖與副圖) */}
+                {images.map((url, index) => (
+                    <div
+                        key={keys[index]}
+                        ref={(element) => {
+                            itemRefs.current[index] = element;
+                        }}
+                        role="listitem"
+                        tabIndex="0"
+                        draggable
+                        aria-label={t('gallery.position', {
+                            name: index === 0 ? t('gallery.main') : t('gallery.sub', { index }),
+                            index: index + 1,
+                            count: images.length,
+                        })}
+                        data-main-label={t('gallery.main')}
+                        className={`image-preview-thumbnail-container ${index === 0 ? 'main-image' : ''} ${dragIndex === index ? 'dragging' : ''} ${overIndex === index && dragIndex !== index ? 'drag-over' : ''}`}
+                        onDragStart={(e) => handleDragStart(e, index)}
+                        onDragOver={(e) => handleDragOver(e, index)}
+                        onDrop={(e) => handleDrop(e, index)}
+                        onDragEnd={handleDragEnd}
+                        onKeyDown={(e) => handleKeyDown(e, index)}
+                        onDoubleClick={() => setLightboxIndex(index)}
+                    >
+                        <img
+                            src={url}
+                            className="image-preview-thumbnail"
+                            alt={`Uploaded ${index}`}
+                            draggable={false}
+                        />
+                        <div className="image-actions d-flex">
+                            <button
+                                type="button"
+                                className="btn btn-light btn-sm btn-image-action"
+                                title={t('gallery.view')}
+                                aria-label={t('gallery.view')}
+                                tabIndex="-1"
+                                onClick={() => setLightboxIndex(index)}
+                            >
+                                <span className="material-symbols-outlined fs-6">zoom_in</span>
+                            </button>
+                            {index !== 0 && (
+                                <button
+                                    type="button"
+                                    className="btn btn-light btn-sm btn-image-action"
+                                    title={t('gallery.setMain')}
+                                    aria-label={t('gallery.setMain')}
+                                    tabIndex="-1"
+                                    onClick={() => reorder(index, 0)}
+                                >
+                                    <span className="material-symbols-outlined fs-6">star</span>
+                                </button>
+                            )}
+                        </div>
+                        <button
+                            type="button"
+                            className="btn btn-danger btn-sm btn-delete-image"
+                            aria-label={t('gallery.remove')}
+                            tabIndex="-1"
+                            onClick={() => removeImage(index)}
+                        >
+                            <span className="material-symbols-outlined fs-6">close</span>
+                        </button>
+                    </div>
+                ))}
+
+                {/* 渲染剩餘的 Placeholder */}
+                {Array.from({ length: Math.max(maxImages - images.length, 0) }).map((_, index) => {
+                    // 計算這是第幾張 Image (目前的數量 + 迴圈的 index + 1)
+                    const imgNum = images.length + index + 1;
+                    return (
+                        <div key={`placeholder-${index}`} className="image-preview-thumbnail-container">
+                            <img
+                                src={`https://placehold.co/100x100/e9ecef/adb5bd?text=Image+${imgNum}`}
+                                className="image-preview-thumbnail"
+                                alt="placeholder"
+                            />
+                        </div>
+                    );
+                })}
+            </div>
+            <div className="visually-hidden" aria-live="polite">
+                {announcement}
+            </div>
+
+            {lightboxIndex !== null && images[lightboxIndex] && (
+                <Lightbox
+                    images={images}
+                    index={lightboxIndex}
+                    onChangeIndex={setLightboxIndex}
+                    onClose={() => setLightboxIndex(null)}
+                />
+            )}
+        </>
+    );
+};
+
+export default ImageGallery;
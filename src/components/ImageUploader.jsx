@@ -0,0 +1,234 @@
+import { useState, useRef, useEffect } from 'react';
+import axios from 'axios';
+
+// Utils
+import { checkImageFile, compressImage, formatFileSize, getErrorMessage, notify, MAX_IMAGES } from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// API
+import { uploadImageApi } from '../api/products';
+
+// 上傳中 (佔用圖片位置) 的狀態
+const ACTIVE_STATUSES = ['pending', 'compressing', 'uploading'];
+
+let uploadId = 0;
+
+// ImageUploader 元件 (拖放或選擇多個檔案，依序壓縮並上傳)
+const ImageUploader = ({ freeSlots, onUploaded }) => {
+    const [uploads, setUploads] = useState([]); // { id, name, size, status, progress, error }
+    const [isDragging, setIsDragging] = useState(false);
+    const { t } = useI18n();
+
+    const queueRef = useRef([]); // 等待上傳的 { id, file }
+    const controllersRef = useRef(new Map()); // 上傳中的 AbortController
+    const isRunningRef = useRef(false);
+    const isMountedRef = useRef(true);
+    const fileInputRef = useRef(null);
+    const onUploadedRef = useRef(onUploaded);
+
+    useEffect(() => {
+        onUploadedRef.current = onUploaded;
+    }, [onUploaded]);
+
+    // 卸載時 (關閉 Modal) 取消所有上傳
+    useEffect(() => {
+        isMountedRef.current = true;
+        const controllers = controllersRef.current;
+
+        return () => {
+            isMountedRef.current = false;
+            queueRef.current = [];
+            controllers.forEach((controller) => controller.abort());
+        };
+    }, []);
+
+    const updateUpload = (id, changes) => {
+        setUploads((prev) => prev.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+    };
+
+    const removeUpload = (id) => {
+        setUploads((prev) => prev.filter((item) => item.id !== id));
+    };
+
+    // 依序處理佇列，確保圖片按照選擇的順序加入
+    const runQueue = async () => {
+        if (isRunningRef.current) return;
+        isRunningRef.current = true;
+
+        while (queueRef.current.length > 0 && isMountedRef.current) {
+            const { id, file } = queueRef.current.shift();
+            const controller = new AbortController();
+            controllersRef.current.set(id, controller);
+
+            try {
+                updateUpload(id, { status: 'compressing' });
+                const compressedFile = await compressImage(file);
+                if (controller.signal.aborted) continue;
+
+                updateUpload(id, { status: 'uploading', size: compressedFile.size });
+                const formData = new FormData();
+                formData.append('file-to-upload', compressedFile);
+
+                const res = await uploadImageApi(formData, {
+                    silent: true, // 錯誤顯示在各自的上傳列
+                    signal: controller.signal,
+                    onUploadProgress: (e) => {
+                        if (e.total) updateUpload(id, { progress: Math.round((e.loaded / e.total) * 100) });
+                    },
+                });
+
+                if (!isMountedRef.current) break;
+                removeUpload(id);
+                onUploadedRef.current(res.data.imageUrl);
+            } catch (error) {
+                if (axios.isCancel(error) || controller.signal.aborted) continue;
+                updateUpload(id, { status: 'error', error: error.response ? getErrorMessage(error) : error.message });
+            } finally {
+                controllersRef.current.delete(id);
+            }
+        }
+
+        isRunningRef.current = false;
+    };
+
+    // 加入檔案：檢查格式，只取剩餘可用的張數
+    const addFiles = (fileList) => {
+        const files = Array.from(fileList);
+        if (files.length === 0) return;
+
+        const activeCount = uploads.filter((item) => ACTIVE_STATUSES.includes(item.status)).length;
+        const availableSlots = Math.max(freeSlots - activeCount, 0);
+
+        const invalidFiles = files.filter((file) => checkImageFile(file));
+        const validFiles = files.filter((file) => !checkImageFile(file));
+        const acceptedFiles = validFiles.slice(0, availableSlots);
+        const skippedCount = validFiles.length - acceptedFiles.length;
+
+        if (invalidFiles.length > 0) {
+            notify.error(`${invalidFiles.map((file) => file.name).join('、')}：${checkImageFile(invalidFiles[0])}`);
+        }
+        if (skippedCount > 0) {
+            notify.info(t('upload.skipped', { max: MAX_IMAGES, count: skippedCount }));
+        }
+        if (acceptedFiles.length === 0) return;
+
+        const newItems = acceptedFiles.map((file) => ({ id: ++uploadId, file }));
+
+        setUploads((prev) => [
+            ...prev,
+            ...newItems.map(({ id, file }) => ({
+                id,
+                name: file.name,
+                size: file.size,
+                status: 'pending',
+                progress: 0,
+                error: '',
+            })),
+        ]);
+        queueRef.current.push(...newItems);
+        runQueue();
+    };
+
+    // 取消上傳 (等待中的直接移出佇列，上傳中的中斷請求)
+    const cancelUpload = (id) => {
+        queueRef.current = queueRef.current.filter((item) => item.id !== id);
+        controllersRef.current.get(id)?.abort();
+        removeUpload(id);
+    };
+
+    const handleFileChange = (e) => {
+        addFiles(e.target.files);
+        e.target.value = '';
+    };
+
+    const handleDragOver = (e) => {
+        e.preventDefault();
+        setIsDragging(true);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        addFiles(e.dataTransfer.files);
+    };
+
+    const isFull = freeSlots <= 0;
+
+    return (
+        <div className="image-uploader mb-2">
+            <label
+                htmlFor="imageInputFile"
+                className={`image-dropzone d-flex flex-column align-items-center justify-content-center ${isDragging ? 'dragging' : ''} ${isFull ? 'disabled' : ''}`}
+                onDragOver={handleDragOver}
+                onDragLeave={() => setIsDragging(false)}
+                onDrop={handleDrop}
+                tabIndex={isFull ? -1 : 0}
+                onKeyDown={(e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        fileInputRef.current?.click();
+                    }
+                }}
+            >
+                <span className="material-symbols-outlined fs-2">cloud_upload</span>
+                <span>{isFull ? t('upload.full', { max: MAX_IMAGES }) : t('upload.dropzone')}</span>
+                <small className="text-secondary">{t('upload.hint')}</small>
+            </label>
+            <input
+                type="file"
+                className="d-none"
+                id="imageInputFile"
+                name="file-to-upload"
+                accept=".jpg, .jpeg, .png"
+                multiple
+                ref={fileInputRef}
+                disabled={isFull}
+                onChange={handleFileChange}
+            />
+
+            {uploads.length > 0 && (
+                <ul className="list-unstyled mt-2 mb-0">
+                    {uploads.map((item) => (
+                        <li key={item.id} className="image-upload-item d-flex align-items-center gap-2 py-1">
+                            <div className="flex-grow-1 overflow-hidden">
+                                <div className="d-flex justify-content-between small">
+                                    <span className="text-truncate me-2">{item.name}</span>
+                                    <span className={item.status === 'error' ? 'text-danger' : 'text-secondary'}>
+                                        {item.status === 'error' ? item.error : t(`upload.status.${item.status}`)}
+                                        {item.status === 'uploading' && ` ${item.progress}%`}
+                                        <span className="ms-2">{formatFileSize(item.size)}</span>
+                                    </span>
+                                </div>
+                                <div
+                                    className="progress"
+                                    role="progressbar"
+                                    aria-label={item.name}
+                                    aria-valuenow={item.progress}
+                                    aria-valuemin="0"
+                                    aria-valuemax="100"
+                                >
+                                    <div
+                                        className={`progress-bar ${item.status === 'error' ? 'bg-danger' : ''}`}
+                                        style={{ width: `${item.status === 'error' ? 100 : item.progress}%` }}
+                                    />
+                                </div>
+                            </div>
+                            <button
+                                type="button"
+                                className="btn btn-sm btn-outline-secondary"
+                                aria-label={item.status === 'error' ? t('upload.remove') : t('upload.cancel')}
+                                onClick={() => cancelUpload(item.id)}
+                            >
+                                <span className="material-symbols-outlined fs-6">close</span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default ImageUploader;
@@ -0,0 +1,29 @@
+// i18n
+import { locales, useI18n } from '../i18n';
+
+// LanguageSwitcher 元件 (切換語系，選擇會記在瀏覽器)
+const LanguageSwitcher = ({ className = '' }) => {
+    const { locale, t, setLocale } = useI18n();
+
+    return (
+        <div className={`language-switcher input-group input-group-sm ${className}`}>
+            <span className="input-group-text">
+                <span className="material-symbols-outlined fs-6">translate</span>
+            </span>
+            <select
+                className="form-select"
+                aria-label={t('common.language')}
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+            >
+                {Object.entries(locales).map(([value, { label }]) => (
+                    <option key={value} value={value}>
+                        {label}
+                    </option>
+                ))}
+            </select>
+        </div>
+    );
+};
+
+export default LanguageSwitcher;
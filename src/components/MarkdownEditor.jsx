@@ -0,0 +1,138 @@
+import { useState, useRef, useEffect } from 'react';
+
+// Utils
+import { renderMarkdown } from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// 工具列按鈕：wrap 包住選取文字；line 加在每一行開頭
+const TOOLBAR_ACTIONS = [
+    { key: 'heading', icon: 'title', type: 'line', prefix: () => '## ' },
+    { key: 'bold', icon: 'format_bold', type: 'wrap', before: '**', after: '**', shortcut: 'b' },
+    { key: 'italic', icon: 'format_italic', type: 'wrap', before: '_', after: '_', shortcut: 'i' },
+    { key: 'bulletList', icon: 'format_list_bulleted', type: 'line', prefix: () => '- ' },
+    { key: 'numberedList', icon: 'format_list_numbered', type: 'line', prefix: (index) => `${index + 1}. ` },
+    { key: 'quote', icon: 'format_quote', type: 'line', prefix: () => '> ' },
+    { key: 'link', icon: 'link', type: 'wrap', before: '[', after: '](https://)' },
+];
+
+// 套用工具列動作，回傳新的內容與要選取的範圍
+const applyAction = (action, value, start, end, sampleText) => {
+    if (action.type === 'wrap') {
+        const selected = value.slice(start, end) || sampleText;
+        const selectionStart = start + action.before.length;
+        return {
+            value: `${value.slice(0, start)}${action.before}${selected}${action.after}${value.slice(end)}`,
+            selection: [selectionStart, selectionStart + selected.length],
+        };
+    }
+
+    // 從選取範圍所在的行首開始處理
+    const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+    const block = value
+        .slice(lineStart, end)
+        .split('\n')
+        .map((line, index) => `${action.prefix(index)}${line}`)
+        .join('\n');
+
+    return {
+        value: `${value.slice(0, lineStart)}${block}${value.slice(end)}`,
+        selection: [lineStart, lineStart + block.length],
+    };
+};
+
+// MarkdownEditor 元件 (工具列 + 即時預覽，onChange 與一般 input 相同會收到 { target: { name, value } })
+const MarkdownEditor = ({ id, name, value, placeholder, rows = 4, isInvalid, onChange, onBlur }) => {
+    const [isPreviewOpen, setIsPreviewOpen] = useState(false);
+    const textareaRef = useRef(null);
+    const pendingSelectionRef = useRef(null);
+    const { t } = useI18n();
+
+    // 工具列修改內容後，選取新插入的文字
+    useEffect(() => {
+        const selection = pendingSelectionRef.current;
+        if (!selection || !textareaRef.current) return;
+
+        pendingSelectionRef.current = null;
+        textareaRef.current.focus();
+        textareaRef.current.setSelectionRange(...selection);
+    }, [value]);
+
+    const runAction = (action) => {
+        const textarea = textareaRef.current;
+        const result = applyAction(
+            action,
+            value || '',
+            textarea.selectionStart,
+            textarea.selectionEnd,
+            t(`markdown.sample.${action.key}`)
+        );
+
+        pendingSelectionRef.current = result.selection;
+        onChange({ target: { name, value: result.value } });
+    };
+
+    // Ctrl/Cmd + B、I 快捷鍵
+    const handleKeyDown = (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+
+        const action = TOOLBAR_ACTIONS.find((item) => item.shortcut === e.key.toLowerCase());
+        if (action) {
+            e.preventDefault();
+            runAction(action);
+        }
+    };
+
+    return (
+        <div className={`markdown-editor ${isInvalid ? 'is-invalid' : ''}`}>
+            <div className="markdown-toolbar btn-toolbar gap-1 mb-1" role="toolbar" aria-label={t('markdown.toolbar')}>
+                {TOOLBAR_ACTIONS.map((action) => (
+                    <button
+                        key={action.key}
+                        type="button"
+                        className="btn btn-sm btn-outline-secondary"
+                        title={t(`markdown.actions.${action.key}`)}
+                        aria-label={t(`markdown.actions.${action.key}`)}
+                        aria-controls={id}
+                        onClick={() => runAction(action)}
+                    >
+                        <span className="material-symbols-outlined fs-6">{action.icon}</span>
+                    </button>
+                ))}
+                <button
+                    type="button"
+                    className={`btn btn-sm ms-auto ${isPreviewOpen ? 'btn-secondary' : 'btn-outline-secondary'}`}
+                    aria-pressed={isPreviewOpen}
+                    onClick={() => setIsPreviewOpen((prev) => !prev)}
+                >
+                    <span className="material-symbols-outlined fs-6 align-middle me-1">visibility</span>
+                    {t('markdown.preview')}
+                </button>
+            </div>
+            <textarea
+                ref={textareaRef}
+                className={`form-control no-resize ${isInvalid ? 'is-invalid' : ''}`}
+                id={id}
+                placeholder={placeholder}
+                rows={rows}
+                name={name}
+                value={value}
+                onChange={onChange}
+                onBlur={onBlur}
+                onKeyDown={handleKeyDown}
+            ></textarea>
+            {isPreviewOpen && (
+                <div className="markdown-preview border rounded-2 p-2 mt-1" aria-live="polite">
+                    {value ? (
+                        <div className="markdown-body" dangerouslySetInnerHTML={{ __html: renderMarkdown(value) }} />
+                    ) : (
+                        <p className="text-secondary small mb-0">{t('markdown.empty')}</p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default MarkdownEditor;
@@ -0,0 +1,153 @@
+// Utils
+import { formatCurrency, formatDate, notify } from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// API
+import { deleteOrderApi, deleteAllOrdersApi } from '../api/orders';
+
+// Modal 相關常數
+const modalConfig = {
+    detail: {
+        titleKey: 'orders.modalTitle.detail',
+        headerClass: 'bg-success',
+    },
+    delete: {
+        titleKey: 'orders.modalTitle.delete',
+        headerClass: 'bg-danger',
+    },
+    deleteAll: {
+        titleKey: 'orders.modalTitle.deleteAll',
+        headerClass: 'bg-danger',
+    },
+};
+
+const OrderModal = ({ getOrders, templateOrder, modalRef, modalType, closeModal }) => {
+    const { t } = useI18n();
+    const isDetail = modalType === 'detail';
+    const isDeleteAll = modalType === 'deleteAll';
+
+    // 訂單內的商品 (API 回傳為物件，轉成陣列方便渲染)
+    const orderItems = Object.values(templateOrder?.products || {});
+
+    // 刪除訂單
+    const deleteOrder = async () => {
+        try {
+            const res = isDeleteAll ? await deleteAllOrdersApi() : await deleteOrderApi(templateOrder.id);
+            notify.success(res.data.message);
+
+            await getOrders();
+            closeModal();
+        } catch {
+            // 錯誤訊息已由 API 攔截器通知
+        }
+    };
+
+    return (
+        <div className="modal fade" tabIndex="-1" ref={modalRef}>
+            <div className={`modal-dialog modal-dialog-centered ${isDetail ? 'modal-xl' : ''}`}>
+                <div className="modal-content">
+                    <div className={`modal-header text-white ${modalConfig[modalType]?.headerClass}`}>
+                        <h5 className="modal-title fw-bold">
+                            {modalConfig[modalType] && t(modalConfig[modalType].titleKey)}
+                        </h5>
+                        <button type="button" className="btn-close btn-close-white" onClick={closeModal} />
+                    </div>
+                    <div className="modal-body">
+                        {isDetail && templateOrder ? (
+                            <div className="row">
+                                <div className="col-lg-4 mb-4 mb-lg-0">
+                                    <h6 className="fw-bold text-primary border-bottom pb-2">{t('orders.customer')}</h6>
+                                    <dl className="row mb-0">
+                                        <dt className="col-4 fw-normal text-secondary">{t('orders.name')}</dt>
+                                        <dd className="col-8">{templateOrder.user?.name}</dd>
+                                        <dt className="col-4 fw-normal text-secondary">{t('orders.columns.email')}</dt>
+                                        <dd className="col-8 text-break">{templateOrder.user?.email}</dd>
+                                        <dt className="col-4 fw-normal text-secondary">{t('orders.tel')}</dt>
+                                        <dd className="col-8">{templateOrder.user?.tel}</dd>
+                                        <dt className="col-4 fw-normal text-secondary">{t('orders.address')}</dt>
+                                        <dd className="col-8">{templateOrder.user?.address}</dd>
+                                        <dt className="col-4 fw-normal text-secondary">{t('orders.message')}</dt>
+                                        <dd className="col-8">{templateOrder.message || '-'}</dd>
+                                    </dl>
+                                </div>
+                                <div className="col-lg-8">
+                                    <h6 className="fw-bold text-primary border-bottom pb-2">{t('orders.order')}</h6>
+                                    <p className="mb-1">
+                                        <span className="text-secondary me-2">{t('orders.columns.id')}</span>
+                                        {templateOrder.id}
+                                    </p>
+                                    <p className="mb-1">
+                                        <span className="text-secondary me-2">{t('orders.columns.createdAt')}</span>
+                                        {formatDate(templateOrder.create_at, true)}
+                                    </p>
+                                    <p className="mb-3">
+                                        <span className="text-secondary me-2">{t('orders.paymentStatus')}</span>
+                                        {templateOrder.is_paid ? (
+                                            <span className="text-success">{t('orders.paid')}</span>
+                                        ) : (
+                                            <span className="text-danger">{t('orders.unpaid')}</span>
+                                        )}
+                                    </p>
+                                    <div className="table-responsive">
+                                        <table className="table align-middle">
+                                            <thead>
+                                                <tr>
+                                                    <th scope="col">{t('orders.item')}</th>
+                                                    <th scope="col" className="text-end">
+                                                        {t('orders.qty')}
+                                                    </th>
+                                                    <th scope="col" className="text-end">
+                                                        {t('orders.subtotal')}
+                                                    </th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {orderItems.map((item) => (
+                                                    <tr key={item.id}>
+                                                        <td>{item.product?.title}</td>
+                                                        <td className="text-end">
+                                                            {item.qty} {item.product?.unit}
+                                                        </td>
+                                                        <td className="text-end">{formatCurrency(item.final_total)}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                            <tfoot>
+                                                <tr>
+                                                    <th scope="row" colSpan="2" className="text-end">
+                                                        {t('orders.total')}
+                                                    </th>
+                                                    <td className="text-end fw-bold text-primary">
+                                                        {formatCurrency(templateOrder.total)}
+                                                    </td>
+                                                </tr>
+                                            </tfoot>
+                                        </table>
+                                    </div>
+                                </div>
+                            </div>
+                        ) : isDeleteAll ? (
+                            <p>{t('orders.confirmDeleteAll')}</p>
+                        ) : (
+                            <p>{t('orders.confirmDelete', { id: templateOrder?.id })}</p>
+                        )}
+                    </div>
+                    {!isDetail && (
+                        <div className="modal-footer">
+                            <button type="button" className="btn btn-outline-secondary" onClick={closeModal}>
+                                {t('common.cancel')}
+                            </button>
+                            <button type="button" className="btn btn-danger text-white" onClick={deleteOrder}>
+                                {t('common.delete')}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default OrderModal;
@@ -1,4 +1,25 @@
+import { useEffect } from 'react';
+
+// Utils
+import { canUsePlainShortcut } from '../utils';
+
+// Pagination 元件 (可用 [ / ] 切換上一頁 / 下一頁)
 const Pagination = ({ pagination, onChangePage }) => {
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!canUsePlainShortcut(e)) return;
+
+            if (e.key === '[' && pagination.has_pre) {
+                onChangePage(pagination.current_page - 1);
+            } else if (e.key === ']' && pagination.has_next) {
+                onChangePage(pagination.current_page + 1);
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [pagination, onChangePage]);
+
     const handleClick = (e, page) => {
         e.preventDefault();
         onChangePage(page);
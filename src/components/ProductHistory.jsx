@@ -0,0 +1,193 @@
+import { useState, useEffect } from 'react';
+
+// Utils
+import {
+    getProductHistory,
+    getHistoryChanges,
+    recordProductHistory,
+    getFieldLabel,
+    formatDate,
+    notify,
+} from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// Store
+import { useLoading } from '../store/LoadingContext';
+import { useProducts } from '../store/ProductsContext';
+
+// API
+import { updateProductApi } from '../api/products';
+
+// 紀錄類型對應的樣式
+const actionBadgeClass = {
+    add: 'bg-success',
+    update: 'bg-primary',
+    delete: 'bg-danger',
+    status: 'bg-secondary',
+};
+
+// ProductHistory 元件 (產品的異動紀錄，可比對欄位差異並還原到變更前的版本)
+// canRevert: 表單有未儲存的變更時不允許還原，避免覆蓋正在編輯的內容
+const ProductHistory = ({ product, canRevert, onReverted }) => {
+    const { withLoading } = useLoading();
+    const { refreshProducts } = useProducts();
+    const { t } = useI18n();
+
+    const [entries, setEntries] = useState(null); // null: 讀取中
+    const [expandedId, setExpandedId] = useState(null);
+    const [confirmingId, setConfirmingId] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+
+    // 讀取紀錄
+    useEffect(() => {
+        let ignore = false;
+
+        getProductHistory(product.id)
+            .then((result) => {
+                if (!ignore) setEntries(result);
+            })
+            .catch(() => {
+                if (!ignore) setEntries([]);
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, [product.id, reloadKey]);
+
+    // 欄位值轉成顯示用文字
+    const formatValue = (field, value) => {
+        if (field === 'is_enabled') return Number(value) === 1 ? t('history.enabled') : t('history.disabled');
+        if (Array.isArray(value)) return value.join('\n') || '—';
+        return value === '' || value === null || value === undefined ? '—' : String(value);
+    };
+
+    // 重新送出變更前的版本
+    const revert = async (entry) => {
+        const reverted = { ...entry.before, id: product.id };
+        setConfirmingId(null);
+
+        try {
+            await withLoading(() => updateProductApi(product.id, { data: reverted }));
+            await recordProductHistory('update', { before: product, after: reverted, revertedFrom: entry.id });
+            notify.success(t('history.reverted'));
+
+            await refreshProducts({ type: 'update', product: reverted, previous: product });
+            onReverted(reverted);
+            setReloadKey((prev) => prev + 1);
+        } catch {
+            // 錯誤訊息已由 API 攔截器通知
+        }
+    };
+
+    if (entries === null) {
+        return <p className="text-secondary">{t('history.loading')}</p>;
+    }
+
+    if (entries.length === 0) {
+        return <p className="text-secondary">{t('history.empty')}</p>;
+    }
+
+    return (
+        <ul className="product-history list-group">
+            {entries.map((entry) => {
+                const changes = getHistoryChanges(entry);
+                const isExpanded = expandedId === entry.id;
+                const canRevertEntry = !!entry.before && entry.action !== 'delete' && changes.length > 0;
+
+                return (
+                    <li key={entry.id} className="list-group-item">
+                        <div className="d-flex flex-wrap align-items-center gap-2">
+                            <span className={`badge ${actionBadgeClass[entry.action]}`}>
+                                {t(`history.actions.${entry.action}`)}
+                            </span>
+                            <span className="small text-secondary">{formatDate(entry.createdAt / 1000, true)}</span>
+                            <span className="small">{entry.account || t('history.unknownAccount')}</span>
+                            {entry.revertedFrom && (
+                                <span className="small text-secondary">{t('history.revertEntry')}</span>
+                            )}
+                            <span className="small text-secondary me-auto">
+                                {changes.length > 0 &&
+                                    changes.map((field) => getFieldLabel(field)).join(t('history.separator'))}
+                            </span>
+                            {changes.length > 0 && (
+                                <button
+                                    type="button"
+                                    className="btn btn-sm btn-outline-secondary"
+                                    aria-expanded={isExpanded}
+                                    onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                                >
+                                    {isExpanded ? t('history.hideDiff') : t('history.showDiff')}
+                                </button>
+                            )}
+                            {canRevertEntry && (
+                                <button
+                                    type="button"
+                                    className="btn btn-sm btn-outline-primary"
+                                    disabled={!canRevert}
+                                    title={canRevert ? '' : t('history.saveFirst')}
+                                    onClick={() => setConfirmingId(entry.id)}
+                                >
+                                    {t('history.revert')}
+                                </button>
+                            )}
+                        </div>
+
+                        {confirmingId === entry.id && (
+                            <div className="d-flex flex-wrap align-items-center gap-2 mt-2">
+                                <span className="text-danger small me-auto">{t('history.confirmRevert')}</span>
+                                <button
+                                    type="button"
+                                    className="btn btn-sm btn-primary text-white"
+                                    onClick={() => revert(entry)}
+                                >
+                                    {t('history.revert')}
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn btn-sm btn-outline-secondary"
+                                    onClick={() => setConfirmingId(null)}
+                                >
+                                    {t('common.cancel')}
+                                </button>
+                            </div>
+                        )}
+
+                        {isExpanded && (
+                            <div className="table-responsive mt-2">
+                                <table className="table table-sm align-middle mb-0 history-diff">
+                                    <thead>
+                                        <tr>
+                                            <th scope="col">{t('history.field')}</th>
+                                            <th scope="col">{t('history.before')}</th>
+                                            <th scope="col">{t('history.after')}</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {changes.map((field) => (
+                                            <tr key={field}>
+                                                <th scope="row" className="text-nowrap">
+                                                    {getFieldLabel(field)}
+                                                </th>
+                                                <td className="history-before">
+                                                    {formatValue(field, entry.before[field])}
+                                                </td>
+                                                <td className="history-after">
+                                                    {formatValue(field, entry.after[field])}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </li>
+                );
+            })}
+        </ul>
+    );
+};
+
+export default ProductHistory;
@@ -0,0 +1,345 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Utils
+import {
+    parseCSV,
+    readFileAsText,
+    normalizeProduct,
+    validateProduct,
+    getFieldLabel,
+    getChangedFields,
+    runWithConcurrency,
+    getErrorMessage,
+    recordProductHistory,
+    notify,
+} from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// Store
+import { useLoading } from '../store/LoadingContext';
+import { useProducts } from '../store/ProductsContext';
+
+// API
+import { addProductApi, updateProductApi, getProductsAllPagesApi, findAddedProductsApi } from '../api/products';
+
+// 匯入狀態對應的樣式 (名稱對應 productImport.status.*)
+const statusConfig = {
+    new: { badgeClass: 'bg-success' },
+    changed: { badgeClass: 'bg-primary' },
+    unchanged: { badgeClass: 'bg-secondary' },
+    invalid: { badgeClass: 'bg-danger' },
+};
+
+// 解析檔案內容 (CSV 或 JSON)
+const parseFile = async (file) => {
+    const text = await readFileAsText(file);
+
+    if (file.name.toLowerCase().endsWith('.json')) {
+        const data = JSON.parse(text);
+        return Array.isArray(data) ? data : Object.values(data.products || {});
+    }
+    return parseCSV(text);
+};
+
+// 建立試算結果：比對 id，沒有 id 時比對商品名稱
+const buildImportPlan = (rows, existingProducts) => {
+    const byId = new Map(existingProducts.map((product) => [product.id, product]));
+    const byTitle = new Map(existingProducts.map((product) => [(product.title || '').trim(), product]));
+
+    return rows.map((row, index) => {
+        const product = normalizeProduct(row);
+        const errors = validateProduct(product);
+
+        if (Object.keys(errors).length > 0) {
+            return { rowNumber: index + 1, status: 'invalid', product, errors };
+        }
+
+        const existing = byId.get(product.id) || byTitle.get(product.title);
+        if (!existing) {
+            return { rowNumber: index + 1, status: 'new', product: { ...product, id: '' } };
+        }
+
+        const changedFields = getChangedFields(existing, product);
+        return {
+            rowNumber: index + 1,
+            status: changedFields.length > 0 ? 'changed' : 'unchanged',
+            product: { ...product, id: existing.id },
+            existing,
+            changedFields,
+        };
+    });
+};
+
+// 新增的資料不帶 id
+const toAddData = (product) => {
+    const { id: _id, ...data } = product;
+    return data;
+};
+
+// 送出單筆匯入 (silent: 錯誤統一在結果中顯示)，更新成功後寫入異動紀錄
+// 新增的紀錄需要 id，等全部送出後再一併查詢 (見 recordAddedRows)
+const submitRow = async ({ status, product, existing }) => {
+    if (status === 'new') {
+        return addProductApi({ data: toAddData(product) }, { silent: true });
+    }
+    const res = await updateProductApi(product.id, { data: product }, { silent: true });
+    await recordProductHistory('update', { before: existing, after: product });
+    return res;
+};
+
+// 寫入新增的紀錄：只取得一次全部產品，排除匯入前已存在的 id 後比對內容
+const recordAddedRows = async (rows, knownIds) => {
+    if (rows.length === 0) return;
+
+    try {
+        const addedProducts = await findAddedProductsApi(
+            rows.map((row) => toAddData(row.product)),
+            knownIds
+        );
+        await Promise.all(addedProducts.map((product) => recordProductHistory('add', { after: product })));
+    } catch {
+        // 查詢失敗時略過紀錄
+    }
+};
+
+const ProductImportModal = ({ modalRef, closeModal }) => {
+    const { withLoading } = useLoading();
+    const { refreshProducts } = useProducts();
+    const { t } = useI18n();
+
+    const [fileName, setFileName] = useState('');
+    const [plan, setPlan] = useState([]);
+    const [progress, setProgress] = useState(null); // { done, total }
+    const [failedRows, setFailedRows] = useState(null); // 匯入完成後的失敗列表
+    const fileInputRef = useRef(null);
+    // 試算時已存在的產品 id (找出新增的產品用)
+    const knownIdsRef = useRef(new Set());
+
+    // 關閉時清除狀態
+    useEffect(() => {
+        const modalElement = modalRef.current;
+        if (!modalElement) return;
+
+        const reset = () => {
+            setFileName('');
+            setPlan([]);
+            setProgress(null);
+            setFailedRows(null);
+            if (fileInputRef.current) fileInputRef.current.value = '';
+        };
+        modalElement.addEventListener('hidden.bs.modal', reset);
+
+        return () => modalElement.removeEventListener('hidden.bs.modal', reset);
+    }, [modalRef]);
+
+    // 選擇檔案後解析並試算
+    const handleFileChange = async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+
+        setFileName(file.name);
+        setFailedRows(null);
+
+        try {
+            await withLoading(async () => {
+                const rows = await parseFile(file);
+                const existingProducts = await getProductsAllPagesApi();
+                knownIdsRef.current = new Set(existingProducts.map((product) => product.id));
+                setPlan(buildImportPlan(rows, existingProducts));
+            });
+        } catch (error) {
+            setPlan([]);
+            if (!error.response) {
+                notify.error(t('productImport.parseFailed', { message: error.message }));
+            }
+        }
+    };
+
+    const summary = Object.keys(statusConfig).reduce(
+        (acc, status) => ({ ...acc, [status]: plan.filter((row) => row.status === status).length }),
+        {}
+    );
+    const pendingRows = plan.filter((row) => row.status === 'new' || row.status === 'changed');
+    const isImporting = progress !== null;
+
+    // 確認匯入
+    const handleImport = async () => {
+        setProgress({ done: 0, total: pendingRows.length });
+
+        const results = await runWithConcurrency(pendingRows, submitRow, {
+            limit: 3,
+            onProgress: (done, total) => setProgress({ done, total }),
+        });
+
+        const failed = results
+            .filter((item) => item.status === 'rejected')
+            .map((item) => ({ ...item.item, message: getErrorMessage(item.reason) }));
+        const addedRows = results
+            .filter((item) => item.status === 'fulfilled' && item.item.status === 'new')
+            .map((item) => item.item);
+
+        await recordAddedRows(addedRows, knownIdsRef.current);
+
+        setProgress(null);
+        setPlan([]);
+        setFailedRows(failed);
+
+        if (failed.length === 0) {
+            notify.success(t('productImport.completed', { count: results.length }));
+        } else {
+            notify.error(
+                t('productImport.completedWithErrors', {
+                    succeeded: results.length - failed.length,
+                    failed: failed.length,
+                })
+            );
+        }
+
+        await refreshProducts();
+    };
+
+    return (
+        <div className="modal fade" tabIndex="-1" ref={modalRef}>
+            <div className="modal-dialog modal-xl modal-dialog-centered modal-dialog-scrollable">
+                <div className="modal-content">
+                    <div className="modal-header text-white bg-primary">
+                        <h5 className="modal-title fw-bold">{t('productImport.title')}</h5>
+                        <button type="button" className="btn-close btn-close-white" onClick={closeModal} />
+                    </div>
+                    <div className="modal-body">
+                        <p className="text-secondary small">{t('productImport.hint')}</p>
+                        <div className="input-group mb-3">
+                            <label className="input-group-text" htmlFor="importFile">
+                                {t('productImport.browse')}
+                            </label>
+                            <input
+                                type="file"
+                                className="form-control d-none"
+                                id="importFile"
+                                accept=".csv, .json"
+                                ref={fileInputRef}
+                                disabled={isImporting}
+                                onChange={handleFileChange}
+                            />
+                            <div className="file-name-display form-control">
+                                {fileName || t('productImport.noFile')}
+                            </div>
+                        </div>
+
+                        {isImporting && (
+                            <div className="mb-3">
+                                <div className="d-flex justify-content-between mb-1">
+                                    <span>{t('productImport.importing')}</span>
+                                    <span>
+                                        {progress.done} / {progress.total}
+                                    </span>
+                                </div>
+                                <div className="progress">
+                                    <div
+                                        className="progress-bar progress-bar-striped progress-bar-animated"
+                                        style={{ width: `${(progress.done / progress.total) * 100}%` }}
+                                    />
+                                </div>
+                            </div>
+                        )}
+
+                        {failedRows && failedRows.length > 0 && (
+                            <div className="alert alert-danger">
+                                <p className="mb-2">{t('productImport.failedList')}</p>
+                                <ul className="mb-0">
+                                    {failedRows.map((row) => (
+                                        <li key={row.rowNumber}>
+                                            {t('productImport.failedRow', {
+                                                row: row.rowNumber,
+                                                title: row.product.title,
+                                                message: row.message,
+                                            })}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+
+                        {plan.length > 0 && !isImporting && (
+                            <>
+                                <div className="d-flex flex-wrap gap-2 mb-3">
+                                    {Object.entries(statusConfig).map(([status, config]) => (
+                                        <span key={status} className={`badge ${config.badgeClass}`}>
+                                            {t(`productImport.status.${status}`)} {summary[status]}
+                                        </span>
+                                    ))}
+                                </div>
+                                <div className="table-responsive">
+                                    <table className="table table-sm align-middle">
+                                        <thead>
+                                            <tr>
+                                                <th scope="col">#</th>
+                                                <th scope="col">{t('productImport.statusColumn')}</th>
+                                                <th scope="col">{t('product.fields.title')}</th>
+                                                <th scope="col">{t('productImport.details')}</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {plan.map((row) => (
+                                                <tr key={row.rowNumber}>
+                                                    <td>{row.rowNumber}</td>
+                                                    <td>
+                                                        <span
+                                                            className={`badge ${statusConfig[row.status].badgeClass}`}
+                                                        >
+                                                            {t(`productImport.status.${row.status}`)}
+                                                        </span>
+                                                    </td>
+                                                    <td>{row.product.title || '-'}</td>
+                                                    <td className="small">
+                                                        {row.status === 'invalid' &&
+                                                            Object.entries(row.errors)
+                                                                .map(([field, message]) =>
+                                                                    t('validation.field', {
+                                                                        field: getFieldLabel(field),
+                                                                        message,
+                                                                    })
+                                                                )
+                                                                .join(t('common.separator'))}
+                                                        {row.status === 'changed' &&
+                                                            t('productImport.changedFields', {
+                                                                fields: row.changedFields
+                                                                    .map((field) => getFieldLabel(field))
+                                                                    .join(t('common.separator')),
+                                                            })}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </>
+                        )}
+                    </div>
+                    <div className="modal-footer">
+                        <button
+                            type="button"
+                            className="btn btn-outline-secondary"
+                            disabled={isImporting}
+                            onClick={closeModal}
+                        >
+                            {failedRows ? t('common.close') : t('common.cancel')}
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-primary text-white"
+                            disabled={pendingRows.length === 0 || isImporting}
+                            onClick={handleImport}
+                        >
+                            {t('productImport.submit', { count: pendingRows.length })}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ProductImportModal;
@@ -1,41 +1,199 @@
-import { useEffect, useState } from 'react';
+import { useState, useRef, useEffect } from 'react';
+import { Modal } from 'bootstrap';
+
+// Components
+import ImageUploader from './ImageUploader';
+import ImageGallery from './ImageGallery';
+import MarkdownEditor from './MarkdownEditor';
+import ProductHistory from './ProductHistory';
+import ProductTemplatePicker from './ProductTemplatePicker';
+import SaveTemplateForm from './SaveTemplateForm';
 
 // Utils
-import { getErrorMessage, formatNumber } from '../utils';
+import {
+    formatNumber,
+    formatCurrency,
+    formatDate,
+    renderMarkdown,
+    validateProduct,
+    mapServerErrors,
+    isValidUrl,
+    getChangedFields,
+    getDraftKey,
+    getDraft,
+    saveDraft,
+    removeDraft,
+    recordProductHistory,
+    MAX_IMAGES,
+    notify,
+    isModKey,
+} from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// Store
+import { useProducts } from '../store/ProductsContext';
 
 // API
-import { addProductApi, updateProductApi, deleteProductApi, uploadImageApi } from '../api/products';
+import { addProductApi, updateProductApi, findAddedProductApi } from '../api/products';
 
 // Modal 相關常數
 const modalConfig = {
     preview: {
-        title: '商品詳情',
+        titleKey: 'product.modalTitle.preview',
         headerClass: 'bg-success',
     },
     add: {
-        title: '新增商品',
+        titleKey: 'product.modalTitle.add',
         headerClass: 'bg-primary',
     },
     edit: {
-        title: '編輯商品',
+        titleKey: 'product.modalTitle.edit',
         headerClass: 'bg-primary',
     },
     delete: {
-        title: '刪除商品',
+        titleKey: 'product.modalTitle.delete',
         headerClass: 'bg-danger',
     },
 };
 
-const ProductModal = ({ getProducts, templateProduct, modalRef, modalType, closeModal }) => {
+// duplicateOf: 複製產品時的原產品 id (草稿分開保存)
+// onProductChange: 產品在 Modal 內被更新 (例如還原紀錄) 時通知外層
+const ProductModal = ({ templateProduct, modalRef, modalType, duplicateOf = '', closeModal, onProductChange }) => {
+    const { refreshProducts, deleteProductWithUndo } = useProducts();
+    const { t } = useI18n();
     const [templateData, setTemplateData] = useState(templateProduct);
     const [tempImageInput, setTempImageInput] = useState(''); // 暫存圖片輸入框的內容
 
-    const [selectedFile, setSelectedFile] = useState(null);
-    const [selectedFileName, setSelectedFileName] = useState('未選擇檔案。');
+    const [touched, setTouched] = useState({}); // 使用者操作過的欄位才顯示錯誤
+    const [serverErrors, setServerErrors] = useState({}); // API 回傳的欄位錯誤
+    const [imageInputError, setImageInputError] = useState('');
 
-    useEffect(() => {
+    const [restorableDraft, setRestorableDraft] = useState(null); // 可還原的草稿 { data, savedAt }
+    const [isConfirmingClose, setIsConfirmingClose] = useState(false);
+    const allowCloseRef = useRef(false); // 已確認放棄變更或儲存成功，允許關閉
+    const [activeTab, setActiveTab] = useState('content'); // content | history
+
+    const isPreview = modalType === 'preview';
+    const isFormMode = modalType === 'add' || modalType === 'edit';
+    // 複製產品的草稿和一般新增分開，避免以不相關的新增草稿蓋掉複製的內容
+    const draftKey = getDraftKey(duplicateOf ? `${duplicateOf}-copy` : modalType === 'add' ? '' : templateProduct.id);
+    // 預覽與編輯已存在的產品時可以查看異動紀錄
+    const hasHistoryTab = (isPreview || modalType === 'edit') && !!templateProduct.id;
+    const isHistoryTab = hasHistoryTab && activeTab === 'history';
+
+    const [prevTemplateProduct, setPrevTemplateProduct] = useState(templateProduct);
+
+    // 切換產品時重設表單與錯誤，並檢查是否有未儲存的草稿
+    if (templateProduct !== prevTemplateProduct) {
+        setPrevTemplateProduct(templateProduct);
         setTemplateData(templateProduct);
-    }, [templateProduct]);
+        setTouched({});
+        setServerErrors({});
+        setImageInputError('');
+        setIsConfirmingClose(false);
+        // 同一筆產品更新內容 (例如還原紀錄) 時停留在目前的分頁
+        if (templateProduct.id !== prevTemplateProduct.id) setActiveTab('content');
+
+        const draft = isFormMode ? getDraft(draftKey) : null;
+        setRestorableDraft(draft && getChangedFields(templateProduct, draft.data).length > 0 ? draft : null);
+    }
+
+    // 表單內容與原始資料是否不同
+    const isDirty =
+        isFormMode &&
+        getChangedFields(templateProduct, { ...templateData, is_enabled: templateData.is_enabled ? 1 : 0 }).length > 0;
+
+    // 自動儲存草稿 (停止輸入 500ms 後寫入)
+    useEffect(() => {
+        if (!isDirty) return;
+
+        const timer = setTimeout(() => saveDraft(draftKey, templateData), 500);
+        return () => clearTimeout(timer);
+    }, [isDirty, draftKey, templateData]);
+
+    // 有未儲存的變更時攔截關閉 (取消、右上角關閉、點擊背景)，改為詢問是否放棄
+    useEffect(() => {
+        const modalElement = modalRef.current;
+        if (!modalElement) return;
+
+        const handleHide = (e) => {
+            if (isDirty && !allowCloseRef.current) {
+                e.preventDefault();
+                setIsConfirmingClose(true);
+            }
+        };
+        const handleShow = () => {
+            allowCloseRef.current = false;
+            setActiveTab('content');
+        };
+        // Esc 改由 handleKeyDown 處理，不顯示 Bootstrap 禁止關閉的提示動畫
+        const handleHidePrevented = (e) => e.preventDefault();
+        modalElement.addEventListener('hide.bs.modal', handleHide);
+        modalElement.addEventListener('show.bs.modal', handleShow);
+        modalElement.addEventListener('hidePrevented.bs.modal', handleHidePrevented);
+
+        return () => {
+            modalElement.removeEventListener('hide.bs.modal', handleHide);
+            modalElement.removeEventListener('show.bs.modal', handleShow);
+            modalElement.removeEventListener('hidePrevented.bs.modal', handleHidePrevented);
+        };
+    }, [modalRef, isDirty]);
+
+    // 關閉 Modal (有未儲存的變更時先確認)
+    const requestClose = () => {
+        if (isDirty) {
+            setIsConfirmingClose(true);
+            return;
+        }
+        closeModal();
+    };
+
+    // 放棄變更並關閉 (直接關閉 Modal，網址由 hidden 事件同步)
+    const discardChanges = () => {
+        allowCloseRef.current = true;
+        removeDraft(draftKey);
+        setIsConfirmingClose(false);
+        Modal.getInstance(modalRef.current)?.hide();
+    };
+
+    // 還原草稿
+    const restoreDraft = () => {
+        setTemplateData({ ...templateProduct, ...restorableDraft.data });
+        setRestorableDraft(null);
+    };
+
+    // 套用範本 (取代目前表單的內容)
+    const applyTemplate = (template) => {
+        setTemplateData({ ...templateProduct, ...template.data, id: '' });
+        // 已選擇範本，不再提供還原草稿 (避免蓋掉範本的內容)
+        setRestorableDraft(null);
+        setTouched({});
+        setServerErrors({});
+        notify.info(t('templates.applied', { name: template.name }));
+    };
+
+    // 捨棄草稿
+    const dismissDraft = () => {
+        removeDraft(draftKey);
+        setRestorableDraft(null);
+    };
+
+    // 前端驗證結果
+    const errors = validateProduct(templateData);
+    const isFormValid = Object.keys(errors).length === 0;
+
+    // 取得欄位錯誤 (API 錯誤優先)
+    const getFieldError = (name) => serverErrors[name] || (touched[name] ? errors[name] : '');
+    const getInputClass = (name, baseClass = 'form-control') =>
+        `${baseClass} ${getFieldError(name) ? 'is-invalid' : ''}`;
+
+    // 離開欄位時標記為已操作
+    const handleBlur = (e) => {
+        const { name } = e.target;
+        setTouched((prev) => ({ ...prev, [name]: true }));
+    };
 
     // 拿到 Modal 內的產品 input 的 value
     const handleModalInputChange = (e) => {
@@ -64,75 +222,63 @@ const ProductModal = ({ getProducts, templateProduct, modalRef, modalType, close
             ...prevData,
             [name]: newValue,
         }));
+        setTouched((prev) => ({ ...prev, [name]: true }));
+        setServerErrors((prev) => ({ ...prev, [name]: '' }));
+    };
+
+    // 加入圖片：沒有主圖時設為主圖，否則加到副圖
+    const appendImage = (url) => {
+        setTemplateData((prev) => {
+            if (!prev.imageUrl) {
+                return { ...prev, imageUrl: url };
+            }
+            return { ...prev, imagesUrl: [...(prev.imagesUrl || []), url] };
+        });
     };
 
     // 新增圖片邏輯 (限制最多 4 張)
     const handleAddImage = () => {
         if (tempImageInput === '') return;
 
+        if (!isValidUrl(tempImageInput)) {
+            setImageInputError(t('validation.url'));
+            return;
+        }
+
         const currentMain = templateData.imageUrl;
         const currentSubs = templateData.imagesUrl || [];
 
         // 計算目前總張數
         const totalImages = (currentMain ? 1 : 0) + currentSubs.length;
 
-        if (totalImages >= 4) {
-            alert('最多只能上傳 4 張圖片');
+        if (totalImages >= MAX_IMAGES) {
+            notify.info(t('product.maxImages', { max: MAX_IMAGES, count: MAX_IMAGES }));
             return;
         }
 
-        setTemplateData((prev) => {
-            if (!prev.imageUrl) {
-                return { ...prev, imageUrl: tempImageInput };
-            }
-            return { ...prev, imagesUrl: [...(prev.imagesUrl || []), tempImageInput] };
-        });
+        appendImage(tempImageInput);
 
         setTempImageInput('');
-    };
-
-    // 刪除圖片邏輯 (重要：處理遞補)
-    const handleRemoveImage = (index) => {
-        const currentSubs = [...(templateData.imagesUrl || [])];
-
-        if (index === 0) {
-            // 如果刪除的是第 0 張 (主圖)
-            // 將副圖的第一張移上來當主圖，如果沒有副圖則清空
-            const newMain = currentSubs.length > 0 ? currentSubs.shift() : '';
-            setTemplateData((prev) => ({
-                ...prev,
-                imageUrl: newMain,
-                imagesUrl: currentSubs,
-            }));
-        } else {
-            // 如果刪除的是副圖 (index 1~3)
-            // 對應到 imagesUrl 的 index 是 (index - 1)
-            currentSubs.splice(index - 1, 1);
-            setTemplateData((prev) => ({
-                ...prev,
-                imagesUrl: currentSubs,
-            }));
-        }
-    };
-
-    // 選擇檔案
-    const handleFileChange = (e) => {
-        const file = e.target.files?.[0];
-        if (!file) return;
-
-        setSelectedFile(file);
-        setSelectedFileName(file.name);
+        setImageInputError('');
     };
 
     // 衍生狀態：將主圖與副圖合併成一個陣列方便渲染
     // index 0 一定是主圖，index 1~3 是副圖
     const allImages = templateData.imageUrl ? [templateData.imageUrl, ...(templateData.imagesUrl || [])] : [];
 
-    const isPreview = modalType === 'preview';
-    const isFormMode = modalType === 'add' || modalType === 'edit';
+    // 依排序結果寫回主圖與副圖 (刪除主圖時由下一張遞補)
+    const setImages = (images) => {
+        setTemplateData((prev) => ({
+            ...prev,
+            imageUrl: images[0] || '',
+            imagesUrl: images.slice(1),
+        }));
+    };
 
     // 新增/更新產品
     const updateProduct = async () => {
+        if (!isFormValid) return;
+
         // 送出的資料
         const productData = {
             data: {
@@ -148,81 +294,126 @@ const ProductModal = ({ getProducts, templateProduct, modalRef, modalType, close
             let res;
             if (modalType === 'add') {
                 res = await addProductApi(productData);
-                alert('已新增產品！');
-
-                await getProducts();
-                closeModal();
+                notify.success(t('product.added'));
+                // 新增的 API 不會回傳 id，另外查詢後再寫入紀錄 (不阻擋關閉)
+                findAddedProductApi(productData.data)
+                    .then((product) => recordProductHistory('add', { after: product }))
+                    .catch(() => {});
             } else {
                 res = await updateProductApi(templateData.id, productData);
-                alert(`${res.data.message}`);
-
-                await getProducts();
-                closeModal();
+                notify.success(res.data.message);
+                recordProductHistory('update', { before: templateProduct, after: productData.data });
             }
-        } catch (error) {
-            if (modalType === 'add') {
-                alert(`新增失敗：${getErrorMessage(error)}!`);
-            } else {
-                alert(`更新失敗：${getErrorMessage(error)}!`);
-            }
-        }
-    };
 
-    // 刪除產品
-    const deleteProduct = async (id) => {
-        try {
-            const res = await deleteProductApi(id);
-            alert(`${res.data.message}`);
-
-            await getProducts();
-            closeModal();
+            // 儲存成功後清除草稿
+            removeDraft(draftKey);
+            allowCloseRef.current = true;
+
+            await refreshProducts(
+                modalType === 'add'
+                    ? { type: 'add', product: productData.data }
+                    : { type: 'update', product: productData.data, previous: templateProduct }
+            );
+            // 直接關閉 Modal，網址由 hidden 事件同步
+            // (按上一頁後選擇繼續編輯時網址已是列表，再導向同一網址不會關閉 Modal)
+            Modal.getInstance(modalRef.current)?.hide();
         } catch (error) {
-            alert(`刪除失敗：${getErrorMessage(error)}!`);
+            // 將 API 回傳的欄位錯誤顯示在對應的輸入框
+            setServerErrors(mapServerErrors(error));
         }
     };
 
-    // 上傳圖片
-    const uploadImage = async () => {
-        if (!selectedFile) {
-            alert('請先選擇檔案');
-            return;
-        }
+    // 刪除產品 (先從列表移除，復原時間過後才送出刪除並移到垃圾桶)
+    const deleteProduct = () => {
+        deleteProductWithUndo(templateProduct);
+        closeModal();
+    };
 
-        try {
-            const formData = new FormData();
-            formData.append('file-to-upload', selectedFile);
-
-            const res = await uploadImageApi(formData);
-            const uploadedImageUrl = res.data.imageUrl;
-
-            setTemplateData((prev) => {
-                if (!prev.imageUrl) {
-                    return { ...prev, imageUrl: uploadedImageUrl };
-                }
-                return {
-                    ...prev,
-                    imagesUrl: [...(prev.imagesUrl || []), uploadedImageUrl],
-                };
-            });
-
-            // 清空狀態
-            setSelectedFile(null);
-            setSelectedFileName('未選擇檔案。');
-        } catch (error) {
-            alert(`上傳失敗：${getErrorMessage(error)}!`);
+    // 快捷鍵：Ctrl / ⌘ + S 儲存 (有錯誤時顯示全部欄位的錯誤)，Esc 關閉
+    const handleKeyDown = (e) => {
+        if (e.nativeEvent.isComposing || e.defaultPrevented) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            requestClose();
+        } else if (isModKey(e) && e.key.toLowerCase() === 's') {
+            e.preventDefault();
+            if (!isFormMode) return;
+            if (isFormValid) {
+                updateProduct();
+            } else {
+                setTouched(Object.fromEntries(Object.keys(errors).map((field) => [field, true])));
+            }
         }
     };
 
     return (
-        <div className="modal fade" tabIndex="-1" ref={modalRef}>
+        <div className="modal fade" tabIndex="-1" ref={modalRef} onKeyDown={handleKeyDown}>
             <div className="modal-dialog modal-xl modal-dialog-centered">
                 <div className="modal-content">
                     <div className={`modal-header text-white ${modalConfig[modalType]?.headerClass}`}>
-                        <h5 className="modal-title fw-bold">{modalConfig[modalType]?.title}</h5>
-                        <button type="button" className="btn-close btn-close-white" onClick={closeModal} />
+                        <h5 className="modal-title fw-bold">
+                            {modalConfig[modalType] && t(modalConfig[modalType].titleKey)}
+                        </h5>
+                        <button type="button" className="btn-close btn-close-white" onClick={requestClose} />
                     </div>
                     <div className="modal-body">
-                        {isPreview ? (
+                        {isFormMode && restorableDraft && (
+                            <div className="alert alert-info d-flex flex-wrap align-items-center gap-2">
+                                <span className="material-symbols-outlined">history</span>
+                                <span className="me-auto">
+                                    {t('product.draftFound', {
+                                        time: formatDate(restorableDraft.savedAt / 1000, true),
+                                    })}
+                                </span>
+                                <button
+                                    type="button"
+                                    className="btn btn-sm btn-primary text-white"
+                                    onClick={restoreDraft}
+                                >
+                                    {t('product.restoreDraft')}
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn btn-sm btn-outline-secondary"
+                                    onClick={dismissDraft}
+                                >
+                                    {t('product.dismissDraft')}
+                                </button>
+                            </div>
+                        )}
+                        {modalType === 'add' && <ProductTemplatePicker onApply={applyTemplate} />}
+                        {hasHistoryTab && (
+                            <ul className="nav nav-tabs mb-3">
+                                <li className="nav-item">
+                                    <button
+                                        type="button"
+                                        className={`nav-link ${activeTab === 'content' ? 'active' : ''}`}
+                                        aria-current={activeTab === 'content'}
+                                        onClick={() => setActiveTab('content')}
+                                    >
+                                        {isPreview ? t('product.tabs.detail') : t('product.tabs.edit')}
+                                    </button>
+                                </li>
+                                <li className="nav-item">
+                                    <button
+                                        type="button"
+                                        className={`nav-link ${activeTab === 'history' ? 'active' : ''}`}
+                                        aria-current={activeTab === 'history'}
+                                        onClick={() => setActiveTab('history')}
+                                    >
+                                        {t('history.tab')}
+                                    </button>
+                                </li>
+                            </ul>
+                        )}
+                        {isHistoryTab ? (
+                            <ProductHistory
+                                product={templateProduct}
+                                canRevert={!isDirty}
+                                onReverted={onProductChange}
+                            />
+                        ) : isPreview ? (
                             <div className="card rounded p-2 overflow-hidden">
                                 <div className="row g-0">
                                     <div className="col-xl-5">
@@ -258,11 +449,21 @@ const ProductModal = ({ getProducts, templateProduct, modalRef, modalType, close
                                             <h2 className="card-title fs-1 fw-bold border-bottom pb-3">
                                                 {templateData.title}
                                             </h2>
-                                            <p className="card-text pt-3">{templateData.description}</p>
-                                            <p className="card-text pb-5">{templateData.content}</p>
+                                            <div
+                                                className="card-text markdown-body pt-3"
+                                                dangerouslySetInnerHTML={{
+                                                    __html: renderMarkdown(templateData.description),
+                                                }}
+                                            />
+                                            <div
+                                                className="card-text markdown-body pb-5"
+                                                dangerouslySetInnerHTML={{
+                                                    __html: renderMarkdown(templateData.content),
+                                                }}
+                                            />
                                             <div className="d-flex justify-content-end mt-auto">
                                                 <p className="card-text fs-3 fw-bold text-primary">
-                                                    NT$ {formatNumber(templateData.price)}
+                                                    {formatCurrency(templateData.price)}
                                                     <span className="text-secondary fs-5 mx-2">/</span>
                                                     <del className="text-secondary fs-4">
                                                         {formatNumber(templateData.origin_price)}
@@ -278,74 +479,82 @@ const ProductModal = ({ getProducts, templateProduct, modalRef, modalType, close
                                 <div className="col-md-6">
                                     <div className="mb-3">
                                         <label htmlFor="productTitle" className="form-label">
-                                            商品名稱
+                                            {t('product.fields.title')}
                                         </label>
                                         <input
                                             type="text"
-                                            className="form-control"
+                                            className={getInputClass('title')}
                                             id="productTitle"
-                                            placeholder="請輸入商品名稱"
+                                            placeholder={t('product.placeholders.title')}
                                             name="title"
                                             value={templateData.title}
                                             onChange={handleModalInputChange}
+                                            onBlur={handleBlur}
                                         />
+                                        <div className="invalid-feedback">{getFieldError('title')}</div>
                                     </div>
                                     <div className="mb-3">
                                         <label htmlFor="productContent" className="form-label">
-                                            商品內容
+                                            {t('product.fields.content')}
                                         </label>
-                                        <textarea
-                                            className="form-control no-resize"
+                                        <MarkdownEditor
                                             id="productContent"
-                                            placeholder="請輸入商品內容"
-                                            rows="4"
                                             name="content"
+                                            placeholder={t('product.placeholders.content')}
                                             value={templateData.content}
+                                            isInvalid={!!getFieldError('content')}
                                             onChange={handleModalInputChange}
-                                        ></textarea>
+                                            onBlur={handleBlur}
+                                        />
+                                        <div className="invalid-feedback">{getFieldError('content')}</div>
                                     </div>
                                     <div className="mb-3">
                                         <label htmlFor="productDescription" className="form-label">
-                                            商品描述
+                                            {t('product.fields.description')}
                                         </label>
-                                        <textarea
-                                            className="form-control no-resize"
+                                        <MarkdownEditor
                                             id="productDescription"
-                                            placeholder="請輸入商品描述"
-                                            rows="4"
                                             name="description"
+                                            placeholder={t('product.placeholders.description')}
                                             value={templateData.description}
+                                            isInvalid={!!getFieldError('description')}
                                             onChange={handleModalInputChange}
-                                        ></textarea>
+                                            onBlur={handleBlur}
+                                        />
+                                        <div className="invalid-feedback">{getFieldError('description')}</div>
                                     </div>
                                     <div className="row">
                                         <div className="col-6 mb-3">
                                             <label htmlFor="productCategory" className="form-label">
-                                                分類
+                                                {t('product.fields.category')}
                                             </label>
                                             <input
                                                 type="text"
-                                                className="form-control"
+                                                className={getInputClass('category')}
                                                 id="productCategory"
-                                                placeholder="請輸入商品類別"
+                                                placeholder={t('product.placeholders.category')}
                                                 name="category"
                                                 value={templateData.category}
                                                 onChange={handleModalInputChange}
+                                                onBlur={handleBlur}
                                             />
+                                            <div className="invalid-feedback">{getFieldError('category')}</div>
                                         </div>
                                         <div className="col-6 mb-3">
                                             <label htmlFor="productUnit" className="form-label">
-                                                單位
+                                                {t('product.fields.unit')}
                                             </label>
                                             <input
                                                 type="text"
-                                                className="form-control"
+                                                className={getInputClass('unit')}
                                                 id="productUnit"
-                                                placeholder="請輸入商品單位"
+                                                placeholder={t('product.placeholders.unit')}
                                                 name="unit"
                                                 value={templateData.unit}
                                                 onChange={handleModalInputChange}
+                                                onBlur={handleBlur}
                                             />
+                                            <div className="invalid-feedback">{getFieldError('unit')}</div>
                                         </div>
                                     </div>
                                 </div>
@@ -353,53 +562,59 @@ const ProductModal = ({ getProducts, templateProduct, modalRef, modalType, close
                                     <div className="row">
                                         <div className="col-6 mb-3">
                                             <label htmlFor="productOriginalPrice" className="form-label">
-                                                原價
+                                                {t('product.fields.origin_price')}
                                             </label>
                                             <input
                                                 type="number"
-                                                className="form-control"
+                                                className={getInputClass('origin_price')}
                                                 id="productOriginalPrice"
                                                 min="0"
-                                                placeholder="請輸入金額"
+                                                placeholder={t('product.placeholders.price')}
                                                 name="origin_price"
                                                 value={templateData.origin_price}
                                                 onChange={handleModalInputChange}
+                                                onBlur={handleBlur}
                                             />
+                                            <div className="invalid-feedback">{getFieldError('origin_price')}</div>
                                         </div>
                                         <div className="col-6 mb-3">
                                             <label htmlFor="productPrice" className="form-label">
-                                                售價
+                                                {t('product.fields.price')}
                                             </label>
                                             <input
                                                 type="number"
-                                                className="form-control"
+                                                className={getInputClass('price')}
                                                 id="productPrice"
                                                 min="0"
-                                                placeholder="請輸入金額"
+                                                placeholder={t('product.placeholders.price')}
                                                 name="price"
                                                 value={templateData.price}
                                                 onChange={handleModalInputChange}
+                                                onBlur={handleBlur}
                                             />
+                                            <div className="invalid-feedback">{getFieldError('price')}</div>
                                         </div>
                                     </div>
                                     <div className="mb-3">
                                         <label htmlFor="productQuantity" className="form-label">
-                                            庫存
+                                            {t('product.fields.ticket_quantity')}
                                         </label>
                                         <input
                                             type="number"
-                                            className="form-control"
+                                            className={getInputClass('ticket_quantity')}
                                             id="productQuantity"
                                             min="0"
-                                            placeholder="請輸入庫存數量"
+                                            placeholder={t('product.placeholders.ticket_quantity')}
                                             name="ticket_quantity"
                                             value={templateData.ticket_quantity}
                                             onChange={handleModalInputChange}
+                                            onBlur={handleBlur}
                                         />
+                                        <div className="invalid-feedback">{getFieldError('ticket_quantity')}</div>
                                     </div>
                                     <div className="mb-3 d-flex align-items-center">
                                         <label htmlFor="is_enabled" className="form-label me-3 mb-0">
-                                            啟用
+                                            {t('product.fields.is_enabled')}
                                         </label>
                                         <div className="form-check form-switch">
                                             <input
@@ -413,130 +628,104 @@ const ProductModal = ({ getProducts, templateProduct, modalRef, modalType, close
                                         </div>
                                     </div>
                                     <div className="mb-3">
-                                        <label className="form-label">上傳圖片 (最多 4 張)</label>
+                                        <label className="form-label">
+                                            {t('product.uploadImages', { max: MAX_IMAGES })}
+                                        </label>
                                         <div className="input-group mb-2">
                                             <input
                                                 type="url"
-                                                className="form-control"
-                                                placeholder="請輸入圖片連結 (jpg, png...)"
+                                                className={`form-control ${imageInputError ? 'is-invalid' : ''}`}
+                                                placeholder={t('product.placeholders.imageUrl')}
                                                 value={tempImageInput}
-                                                onChange={(e) => setTempImageInput(e.target.value)}
+                                                onChange={(e) => {
+                                                    setTempImageInput(e.target.value);
+                                                    setImageInputError('');
+                                                }}
                                                 // 達到 4 張時停用輸入框
-                                                disabled={allImages.length >= 4}
+                                                disabled={allImages.length >= MAX_IMAGES}
                                             />
                                             <button
                                                 type="button"
                                                 className="btn btn-outline-primary"
                                                 onClick={handleAddImage}
-                                                disabled={allImages.length >= 4}
-                                            >
-                                                新增連結
-                                            </button>
-                                        </div>
-                                        <div className="input-group mb-2">
-                                            <label className="input-group-text" htmlFor="imageInputFile">
-                                                瀏覽...
-                                            </label>
-                                            <input
-                                                type="file"
-                                                className="form-control d-none"
-                                                id="imageInputFile"
-                                                name="file-to-upload"
-                                                accept=".jpg, .jpeg, .png"
-                                                onChange={handleFileChange}
-                                            />
-                                            <div className="file-name-display form-control">
-                                                {selectedFileName}
-                                            </div>
-                                            <button
-                                                type="button"
-                                                className="btn btn-outline-primary"
-                                                onClick={uploadImage}
-                                                disabled={allImages.length >= 4}
+                                                disabled={allImages.length >= MAX_IMAGES}
                                             >
-                                                上傳圖片
+                                                {t('product.addImageUrl')}
                                             </button>
+                                            <div className="invalid-feedback">{imageInputError}</div>
                                         </div>
+                                        <ImageUploader
+                                            freeSlots={MAX_IMAGES - allImages.length}
+                                            onUploaded={appendImage}
+                                        />
                                     </div>
                                     <div className="mb-3">
                                         <div className="d-flex justify-content-between align-items-center mb-2">
-                                            <label className="form-label mb-0">已上傳圖片</label>
-                                        </div>
-                                        <div id="imagesContainer" className="d-flex flex-wrap gap-2">
-                                            {/* 渲染已存在的圖片 (包含主圖與副圖) */}
-                                            {allImages.map((url, index) => (
-                                                <div
-                                                    key={index}
-                                                    className={`image-preview-thumbnail-container ${index === 0 && 'main-image'}`}
-                                                >
-                                                    <img
-                                                        src={url}
-                                                        className="image-preview-thumbnail"
-                                                        alt={`Uploaded ${index}`}
-                                                    />
-                                                    <button
-                                                        type="button"
-                                                        className="btn btn-danger btn-sm btn-delete-image"
-                                                        onClick={() => handleRemoveImage(index)}
-                                                    >
-                                                        <span className="material-symbols-outlined fs-6">
-                                                            close
-                                                        </span>
-                                                    </button>
-                                                </div>
-                                            ))}
-
-                                            {/* 渲染剩餘的 Placeholder */}
-                                            {/* 邏輯：減去 目前圖片數量，產生對應數量的空位 */}
-                                            {Array.from({ length: 4 - allImages.length }).map((_, index) => {
-                                                // 計算這是第幾張 Image (目前的數量 + 迴圈的 index + 1)
-                                                const imgNum = allImages.length + index + 1;
-                                                return (
-                                                    <div
-                                                        key={`placeholder-${index}`}
-                                                        className="image-preview-thumbnail-container"
-                                                    >
-                                                        <img
-                                                            src={`https://placehold.co/100x100/e9ecef/adb5bd?text=Image+${imgNum}`}
-                                                            className="image-preview-thumbnail"
-                                                            alt="placeholder"
-                                                        />
-                                                    </div>
-                                                );
-                                            })}
+                                            <label className="form-label mb-0">{t('product.uploadedImages')}</label>
                                         </div>
+                                        {(errors.imageUrl || errors.imagesUrl) && (
+                                            <div className="text-danger small mb-2">
+                                                {errors.imageUrl || errors.imagesUrl}
+                                            </div>
+                                        )}
+                                        <ImageGallery images={allImages} maxImages={MAX_IMAGES} onChange={setImages} />
                                     </div>
                                 </div>
                             </div>
                         ) : (
-                            <p>
-                                確定要刪除
-                                <span className="text-danger mx-2">{templateData.title}</span>
-                                嗎？
-                            </p>
+                            <p>{t('product.confirmDelete', { title: templateData.title })}</p>
                         )}
                     </div>
+                    {isPreview && !isHistoryTab && (
+                        <div className="modal-footer justify-content-start">
+                            <SaveTemplateForm key={templateProduct.id} product={templateProduct} />
+                        </div>
+                    )}
                     {!isPreview && (
                         <div className="modal-footer">
-                            <button type="button" className="btn btn-outline-secondary" onClick={closeModal}>
-                                取消
+                            {isFormMode && !isConfirmingClose && (
+                                <div className="me-auto">
+                                    <SaveTemplateForm
+                                        key={`${modalType}-${templateProduct.id}`}
+                                        product={templateData}
+                                    />
+                                </div>
+                            )}
+                            {isConfirmingClose && (
+                                <div className="d-flex align-items-center gap-2 me-auto">
+                                    <span className="text-danger">{t('product.unsavedChanges')}</span>
+                                    <button
+                                        type="button"
+                                        className="btn btn-sm btn-danger text-white"
+                                        onClick={discardChanges}
+                                    >
+                                        {t('product.discardChanges')}
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="btn btn-sm btn-outline-secondary"
+                                        onClick={() => setIsConfirmingClose(false)}
+                                    >
+                                        {t('product.keepEditing')}
+                                    </button>
+                                </div>
+                            )}
+                            <button type="button" className="btn btn-outline-secondary" onClick={requestClose}>
+                                {t('common.cancel')}
                             </button>
                             {isFormMode && (
                                 <button
                                     type="button"
                                     className="btn btn-primary text-white"
+                                    disabled={!isFormValid}
                                     onClick={updateProduct}
                                 >
-                                    儲存
+                                    {t('common.save')}
                                 </button>
                             )}
                             {!isPreview && !isFormMode && (
-                                <button
-                                    type="button"
-                                    className="btn btn-danger text-white"
-                                    onClick={() => deleteProduct(templateData.id)}
-                                >
-                                    刪除
+                                <button type="button" className="btn btn-danger text-white" onClick={deleteProduct}>
+                                    {t('common.delete')}
                                 </button>
                             )}
                         </div>
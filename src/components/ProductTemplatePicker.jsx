@@ -0,0 +1,72 @@
+import { useState, useSyncExternalStore } from 'react';
+
+// Utils
+import { subscribeProductTemplates, getProductTemplates, removeProductTemplate, notify } from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// ProductTemplatePicker 元件 (新增產品時選擇範本，套用後取代目前表單的內容)
+const ProductTemplatePicker = ({ onApply }) => {
+    const templates = useSyncExternalStore(subscribeProductTemplates, getProductTemplates);
+    const { t } = useI18n();
+    const [selectedId, setSelectedId] = useState('');
+
+    const selected = templates.find((template) => template.id === selectedId);
+
+    if (templates.length === 0) {
+        return <p className="small text-secondary mb-3">{t('templates.emptyHint')}</p>;
+    }
+
+    const remove = () => {
+        try {
+            removeProductTemplate(selected.id);
+            setSelectedId('');
+            notify.success(t('templates.removed', { name: selected.name }));
+        } catch {
+            notify.error(t('templates.storageError'));
+        }
+    };
+
+    return (
+        <div className="product-template-picker input-group input-group-sm mb-3">
+            <label className="input-group-text" htmlFor="productTemplate">
+                <span className="material-symbols-outlined fs-6 me-1">article</span>
+                {t('templates.startFrom')}
+            </label>
+            <select
+                className="form-select"
+                id="productTemplate"
+                value={selectedId}
+                onChange={(e) => setSelectedId(e.target.value)}
+            >
+                <option value="">{t('templates.choose')}</option>
+                {templates.map((template) => (
+                    <option key={template.id} value={template.id}>
+                        {template.name}
+                    </option>
+                ))}
+            </select>
+            <button
+                type="button"
+                className="btn btn-outline-primary"
+                disabled={!selected}
+                onClick={() => onApply(selected)}
+            >
+                {t('templates.apply')}
+            </button>
+            <button
+                type="button"
+                className="btn btn-outline-danger d-flex align-items-center"
+                disabled={!selected}
+                aria-label={t('templates.remove')}
+                title={t('templates.remove')}
+                onClick={remove}
+            >
+                <span className="material-symbols-outlined fs-6">delete</span>
+            </button>
+        </div>
+    );
+};
+
+export default ProductTemplatePicker;
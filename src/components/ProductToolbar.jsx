@@ -0,0 +1,124 @@
+import { useState, useRef, useEffect } from 'react';
+
+// Utils
+import { canUsePlainShortcut } from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// 啟用狀態選項
+const statusOptions = [
+    { value: '', labelKey: 'productList.statuses.all' },
+    { value: 'enabled', labelKey: 'productList.statuses.enabled' },
+    { value: 'disabled', labelKey: 'productList.statuses.disabled' },
+];
+
+// ProductToolbar 元件 (搜尋、分類與狀態篩選)
+const ProductToolbar = ({ filters, categories, onChange }) => {
+    const { t } = useI18n();
+    const [keyword, setKeyword] = useState(filters.q);
+    const [prevQ, setPrevQ] = useState(filters.q);
+    const timerRef = useRef(null);
+    const searchInputRef = useRef(null);
+
+    // 網址上的關鍵字被外部改變時 (例如上一頁)，同步輸入框
+    if (filters.q !== prevQ) {
+        setPrevQ(filters.q);
+        setKeyword(filters.q);
+    }
+
+    // 卸載時清除尚未送出的搜尋
+    useEffect(() => () => clearTimeout(timerRef.current), []);
+
+    // 按 / 聚焦搜尋框
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key !== '/' || !canUsePlainShortcut(e)) return;
+            e.preventDefault();
+            searchInputRef.current?.focus();
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
+
+    // 輸入關鍵字 (停止輸入 300ms 後才搜尋)
+    const handleKeywordChange = (e) => {
+        const { value } = e.target;
+        setKeyword(value);
+
+        clearTimeout(timerRef.current);
+        timerRef.current = setTimeout(() => onChange({ q: value.trim() }), 300);
+    };
+
+    // 清除全部條件
+    const handleReset = () => {
+        clearTimeout(timerRef.current);
+        setKeyword('');
+        onChange({ q: '', category: '', status: '' });
+    };
+
+    const hasFilters = !!(filters.q || filters.category || filters.status);
+
+    return (
+        <div className="product-toolbar row g-2 align-items-center mb-3">
+            <div className="col-lg-6">
+                <div className="input-group">
+                    <span className="input-group-text">
+                        <span className="material-symbols-outlined fs-5">search</span>
+                    </span>
+                    <input
+                        ref={searchInputRef}
+                        type="search"
+                        className="form-control"
+                        placeholder={t('productList.searchPlaceholder')}
+                        aria-label={t('productList.search')}
+                        value={keyword}
+                        onChange={handleKeywordChange}
+                    />
+                </div>
+            </div>
+            <div className="col-sm-5 col-lg-3">
+                <select
+                    className="form-select"
+                    aria-label={t('productList.categoryFilter')}
+                    value={filters.category}
+                    onChange={(e) => onChange({ category: e.target.value })}
+                >
+                    <option value="">{t('productList.allCategories')}</option>
+                    {categories.map((category) => (
+                        <option key={category} value={category}>
+                            {category}
+                        </option>
+                    ))}
+                </select>
+            </div>
+            <div className="col-sm-5 col-lg-2">
+                <select
+                    className="form-select"
+                    aria-label={t('productList.statusFilter')}
+                    value={filters.status}
+                    onChange={(e) => onChange({ status: e.target.value })}
+                >
+                    {statusOptions.map((option) => (
+                        <option key={option.value} value={option.value}>
+                            {t(option.labelKey)}
+                        </option>
+                    ))}
+                </select>
+            </div>
+            <div className="col-sm-2 col-lg-1">
+                <button
+                    type="button"
+                    className="btn btn-outline-secondary w-100"
+                    disabled={!hasFilters}
+                    onClick={handleReset}
+                >
+                    {t('productList.resetFilters')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ProductToolbar;
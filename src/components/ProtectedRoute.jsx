@@ -0,0 +1,18 @@
+import { Navigate, Outlet, useLocation } from 'react-router';
+
+// Store
+import { useAuth } from '../store/AuthContext';
+
+// 需要登入才能進入的路由，未登入時導向登入頁並記錄原本要去的位置
+const ProtectedRoute = () => {
+    const { isAuth } = useAuth();
+    const location = useLocation();
+
+    if (!isAuth) {
+        return <Navigate to="/login" replace state={{ from: location }} />;
+    }
+
+    return <Outlet />;
+};
+
+export default ProtectedRoute;
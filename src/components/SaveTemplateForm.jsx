@@ -0,0 +1,65 @@
+import { useState, useSyncExternalStore } from 'react';
+
+// Utils
+import { subscribeProductTemplates, getProductTemplates, saveProductTemplate, notify } from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// SaveTemplateForm 元件 (將產品存成具名範本，預設以產品名稱命名)
+const SaveTemplateForm = ({ product }) => {
+    const templates = useSyncExternalStore(subscribeProductTemplates, getProductTemplates);
+    const { t } = useI18n();
+    const [name, setName] = useState(null); // null: 收合
+
+    if (name === null) {
+        return (
+            <button
+                type="button"
+                className="btn btn-outline-secondary d-flex align-items-center"
+                onClick={() => setName(product.title)}
+            >
+                <span className="material-symbols-outlined fs-5 me-1">bookmark_add</span>
+                {t('templates.save')}
+            </button>
+        );
+    }
+
+    const trimmedName = name.trim();
+    const isOverwrite = templates.some((template) => template.name === trimmedName);
+
+    const save = (e) => {
+        e.preventDefault();
+        if (!trimmedName) return;
+
+        try {
+            saveProductTemplate(trimmedName, product);
+            notify.success(t('templates.saved', { name: trimmedName }));
+            setName(null);
+        } catch {
+            notify.error(t('templates.storageError'));
+        }
+    };
+
+    return (
+        <form className="save-template-form input-group input-group-sm" onSubmit={save}>
+            <input
+                type="text"
+                className="form-control"
+                value={name}
+                placeholder={t('templates.namePlaceholder')}
+                aria-label={t('templates.name')}
+                autoFocus
+                onChange={(e) => setName(e.target.value)}
+            />
+            <button type="submit" className="btn btn-primary text-white" disabled={!trimmedName}>
+                {isOverwrite ? t('templates.overwrite') : t('common.save')}
+            </button>
+            <button type="button" className="btn btn-outline-secondary" onClick={() => setName(null)}>
+                {t('common.cancel')}
+            </button>
+        </form>
+    );
+};
+
+export default SaveTemplateForm;
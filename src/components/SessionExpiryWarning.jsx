@@ -0,0 +1,137 @@
+import { useState, useEffect } from 'react';
+
+// Utils
+import { getCurrentAccount, isTokenRemembered, getErrorMessage } from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// Store
+import { useAuth } from '../store/AuthContext';
+import { useLoading } from '../store/LoadingContext';
+
+// 到期前多久開始提醒 (毫秒)
+const WARNING_TIME = 5 * 60 * 1000;
+
+// 剩餘毫秒轉 mm:ss
+const formatCountdown = (ms) => {
+    const totalSeconds = Math.max(Math.ceil(ms / 1000), 0);
+    const pad = (value) => value.toString().padStart(2, '0');
+    return `${pad(Math.floor(totalSeconds / 60))}:${pad(totalSeconds % 60)}`;
+};
+
+// SessionExpiryWarning 元件 (登入即將到期時提醒，可直接重新登入不離開目前頁面)
+const SessionExpiryWarning = () => {
+    const { expiresAt, login, expireSession } = useAuth();
+    const { withLoading } = useLoading();
+    const { t } = useI18n();
+
+    const [now, setNow] = useState(() => Date.now());
+    const [isReLoggingIn, setIsReLoggingIn] = useState(false);
+    const [account, setAccount] = useState(() => ({ username: getCurrentAccount(), password: '' }));
+    const [loginError, setLoginError] = useState('');
+
+    const remaining = expiresAt ? expiresAt - now : Infinity;
+
+    // 每秒更新倒數
+    useEffect(() => {
+        if (!expiresAt) return;
+
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [expiresAt]);
+
+    // 時間到就登出
+    useEffect(() => {
+        if (remaining <= 0) {
+            expireSession();
+        }
+    }, [remaining, expireSession]);
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setAccount((prev) => ({ ...prev, [name]: value }));
+        setLoginError('');
+    };
+
+    // 重新登入 (沿用這次登入的記住我設定)，失敗時在表單內顯示錯誤，不離開目前頁面
+    const handleReLogin = async (e) => {
+        e.preventDefault();
+        try {
+            await withLoading(() => login(account, isTokenRemembered(), { silent: true }));
+            setIsReLoggingIn(false);
+            setAccount((prev) => ({ ...prev, password: '' }));
+        } catch (error) {
+            setLoginError(getErrorMessage(error));
+        }
+    };
+
+    const cancelReLogin = () => {
+        setIsReLoggingIn(false);
+        setLoginError('');
+    };
+
+    if (remaining > WARNING_TIME) return null;
+
+    return (
+        <div className="session-expiry-warning card shadow border-warning" role="alert">
+            <div className="card-body">
+                <div className="d-flex align-items-center">
+                    <span className="material-symbols-outlined text-warning me-2">schedule</span>
+                    <span className="me-auto">{t('session.expiresIn', { time: formatCountdown(remaining) })}</span>
+                    {!isReLoggingIn && (
+                        <button
+                            type="button"
+                            className="btn btn-sm btn-warning ms-3"
+                            onClick={() => setIsReLoggingIn(true)}
+                        >
+                            {t('session.relogin')}
+                        </button>
+                    )}
+                </div>
+                {isReLoggingIn && (
+                    <form className="mt-3" onSubmit={handleReLogin}>
+                        <input
+                            type="email"
+                            className="form-control form-control-sm mb-2"
+                            name="username"
+                            placeholder={t('login.emailPlaceholder')}
+                            aria-label={t('login.email')}
+                            value={account.username}
+                            onChange={handleInputChange}
+                            required
+                        />
+                        <input
+                            type="password"
+                            className={`form-control form-control-sm mb-2 ${loginError ? 'is-invalid' : ''}`}
+                            name="password"
+                            placeholder={t('login.passwordPlaceholder')}
+                            aria-label={t('login.password')}
+                            value={account.password}
+                            onChange={handleInputChange}
+                            aria-invalid={!!loginError}
+                            aria-describedby={loginError ? 'sessionLoginError' : undefined}
+                            autoFocus
+                            required
+                        />
+                        {loginError && (
+                            <div className="text-danger small mb-2" id="sessionLoginError" role="alert">
+                                {loginError}
+                            </div>
+                        )}
+                        <div className="d-flex justify-content-end gap-2">
+                            <button type="button" className="btn btn-sm btn-outline-secondary" onClick={cancelReLogin}>
+                                {t('common.cancel')}
+                            </button>
+                            <button type="submit" className="btn btn-sm btn-primary text-white">
+                                {t('common.login')}
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SessionExpiryWarning;
@@ -0,0 +1,96 @@
+import { useRef, useEffect } from 'react';
+import { Modal } from 'bootstrap';
+
+// Utils
+import { SHORTCUT_GROUPS, formatShortcutKey } from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// 按鍵組合 (例如 Ctrl + K)
+const KeyCombo = ({ keys }) =>
+    keys.map((key, index) => (
+        <span key={key}>
+            {index > 0 && <span className="text-secondary mx-1">+</span>}
+            <kbd>{formatShortcutKey(key)}</kbd>
+        </span>
+    ));
+
+// ShortcutsHelp 元件 (按 ? 開啟，列出全部快捷鍵)
+const ShortcutsHelp = ({ isOpen, onClose }) => {
+    const { t } = useI18n();
+    const modalRef = useRef(null);
+    const modalInstanceRef = useRef(null);
+
+    // 建立 Modal 實例
+    useEffect(() => {
+        modalInstanceRef.current = new Modal(modalRef.current);
+        return () => modalInstanceRef.current.dispose();
+    }, []);
+
+    // 關閉後通知外層
+    useEffect(() => {
+        const modalElement = modalRef.current;
+        modalElement.addEventListener('hidden.bs.modal', onClose);
+        return () => modalElement.removeEventListener('hidden.bs.modal', onClose);
+    }, [onClose]);
+
+    // 依外層狀態開關
+    useEffect(() => {
+        if (isOpen) {
+            modalInstanceRef.current.show();
+        } else {
+            modalInstanceRef.current.hide();
+        }
+    }, [isOpen]);
+
+    return (
+        <div className="modal fade shortcuts-help" tabIndex="-1" ref={modalRef} aria-labelledby="shortcutsHelpTitle">
+            <div className="modal-dialog modal-lg modal-dialog-centered modal-dialog-scrollable">
+                <div className="modal-content">
+                    <div className="modal-header">
+                        <h5 className="modal-title fw-bold d-flex align-items-center" id="shortcutsHelpTitle">
+                            <span className="material-symbols-outlined me-2">keyboard</span>
+                            {t('shortcuts.title')}
+                        </h5>
+                        <button
+                            type="button"
+                            className="btn-close"
+                            aria-label={t('common.close')}
+                            data-bs-dismiss="modal"
+                        />
+                    </div>
+                    <div className="modal-body">
+                        <div className="row g-4">
+                            {SHORTCUT_GROUPS.map((group) => (
+                                <div className="col-md-6" key={group.titleKey}>
+                                    <h6 className="fw-bold">{t(group.titleKey)}</h6>
+                                    <table className="table table-sm align-middle mb-0">
+                                        <tbody>
+                                            {group.items.map((item) => (
+                                                <tr key={item.labelKey}>
+                                                    <td>{t(item.labelKey)}</td>
+                                                    <td className="text-end text-nowrap">
+                                                        <KeyCombo keys={item.keys} />
+                                                        {item.alternatives?.map((keys) => (
+                                                            <span key={keys.join('+')}>
+                                                                <span className="text-secondary mx-1">/</span>
+                                                                <KeyCombo keys={keys} />
+                                                            </span>
+                                                        ))}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ShortcutsHelp;
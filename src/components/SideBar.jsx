@@ -1,5 +1,15 @@
+import { NavLink } from 'react-router';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// Router
+import { navItems } from '../router/navItems';
+
 // SideBar 元件
 const SideBar = () => {
+    const { t } = useI18n();
+
     return (
         <div className="sidebar bg-primary d-flex flex-column p-4">
             <h4 className="fw-semibold mb-2 d-flex justify-content-center align-items-center text-white mb-5">
@@ -9,12 +19,14 @@ const SideBar = () => {
                 Happy Travel
             </h4>
             <nav className="nav nav-pills flex-column">
-                <li className="nav-item">
-                    <a href="#" className="nav-link active d-flex align-items-center">
-                        <span className="material-symbols-outlined p-1 me-1">airplane_ticket</span>
-                        旅程管理
-                    </a>
-                </li>
+                {navItems.map((item) => (
+                    <li className="nav-item" key={item.path}>
+                        <NavLink to={item.path} className="nav-link d-flex align-items-center">
+                            <span className="material-symbols-outlined p-1 me-1">{item.icon}</span>
+                            {t(item.titleKey)}
+                        </NavLink>
+                    </li>
+                ))}
             </nav>
         </div>
     );
@@ -0,0 +1,35 @@
+import { useSyncExternalStore } from 'react';
+
+// Utils
+import { THEMES, THEME_ICONS, getTheme, setTheme, subscribeTheme } from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// ThemeSwitcher 元件 (切換淺色 / 深色 / 跟隨系統，選擇會記在瀏覽器)
+const ThemeSwitcher = ({ className = '' }) => {
+    const theme = useSyncExternalStore(subscribeTheme, getTheme);
+    const { t } = useI18n();
+
+    return (
+        <div className={`theme-switcher input-group input-group-sm ${className}`}>
+            <span className="input-group-text">
+                <span className="material-symbols-outlined fs-6">{THEME_ICONS[theme]}</span>
+            </span>
+            <select
+                className="form-select"
+                aria-label={t('theme.label')}
+                value={theme}
+                onChange={(e) => setTheme(e.target.value)}
+            >
+                {THEMES.map((value) => (
+                    <option key={value} value={value}>
+                        {t(`theme.${value}`)}
+                    </option>
+                ))}
+            </select>
+        </div>
+    );
+};
+
+export default ThemeSwitcher;
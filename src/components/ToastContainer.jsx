@@ -0,0 +1,103 @@
+import { useState, useEffect, useRef, useSyncExternalStore } from 'react';
+
+// Utils
+import { subscribeToasts, getToasts, dismissToast } from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// 通知類型對應的樣式
+const toastConfig = {
+    success: {
+        icon: 'check_circle',
+        className: 'toast-success',
+    },
+    error: {
+        icon: 'error',
+        className: 'toast-error',
+    },
+    info: {
+        icon: 'info',
+        className: 'toast-info',
+    },
+};
+
+// 單則通知，滑鼠移入時暫停倒數
+// 有動作按鈕的通知 (例如復原刪除) 不暫停，倒數要和動作的期限 (例如送出刪除的計時) 一致
+const ToastItem = ({ toast }) => {
+    const { t } = useI18n();
+    const [isPaused, setIsPaused] = useState(false);
+    const canPause = !toast.action;
+    const remainingRef = useRef(toast.duration);
+
+    // 重複的通知再次出現時，重新計算時間
+    useEffect(() => {
+        remainingRef.current = toast.duration;
+    }, [toast.duration, toast.updatedAt]);
+
+    // 倒數結束自動關閉
+    useEffect(() => {
+        if (isPaused) return;
+
+        const startTime = Date.now();
+        const timer = setTimeout(() => dismissToast(toast.id), remainingRef.current);
+
+        return () => {
+            clearTimeout(timer);
+            remainingRef.current -= Date.now() - startTime;
+        };
+    }, [isPaused, toast.id, toast.updatedAt]);
+
+    const config = toastConfig[toast.type];
+
+    return (
+        <div
+            className={`toast show align-items-center ${config.className}`}
+            role={toast.type === 'error' ? 'alert' : 'status'}
+            aria-live={toast.type === 'error' ? 'assertive' : 'polite'}
+            onMouseEnter={() => canPause && setIsPaused(true)}
+            onMouseLeave={() => canPause && setIsPaused(false)}
+        >
+            <div className="d-flex align-items-center p-3">
+                <span className="material-symbols-outlined toast-icon me-2">{config.icon}</span>
+                <div className="toast-body p-0 me-auto">
+                    {toast.message}
+                    {toast.count > 1 && <span className="badge rounded-pill bg-secondary ms-2">×{toast.count}</span>}
+                </div>
+                {toast.action && (
+                    <button
+                        type="button"
+                        className="btn btn-sm btn-link toast-action fw-bold text-nowrap ms-2"
+                        onClick={() => {
+                            dismissToast(toast.id);
+                            toast.action.onClick();
+                        }}
+                    >
+                        {toast.action.label}
+                    </button>
+                )}
+                <button
+                    type="button"
+                    className="btn-close ms-2"
+                    aria-label={t('common.close')}
+                    onClick={() => dismissToast(toast.id)}
+                />
+            </div>
+        </div>
+    );
+};
+
+// ToastContainer 元件
+const ToastContainer = () => {
+    const toasts = useSyncExternalStore(subscribeToasts, getToasts);
+
+    return (
+        <div className="toast-container position-fixed top-0 end-0 p-3">
+            {toasts.map((toast) => (
+                <ToastItem key={toast.id} toast={toast} />
+            ))}
+        </div>
+    );
+};
+
+export default ToastContainer;
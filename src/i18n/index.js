@@ -0,0 +1,64 @@
+import { useSyncExternalStore } from 'react';
+
+import zhTW from './locales/zh-TW';
+import en from './locales/en';
+
+// 支援的語系
+export const locales = {
+    'zh-TW': { label: '繁體中文', messages: zhTW },
+    en: { label: 'English', messages: en },
+};
+
+export const DEFAULT_LOCALE = 'zh-TW';
+
+const STORAGE_KEY = 'locale';
+
+// 語系狀態放在模組層級，讓元件以外的地方 (例如 API 錯誤訊息) 也能使用 t()
+const listeners = new Set();
+
+const getSavedLocale = () => {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved in locales ? saved : DEFAULT_LOCALE;
+};
+
+let currentLocale = getSavedLocale();
+document.documentElement.lang = currentLocale;
+
+export const getLocale = () => currentLocale;
+
+// 切換語系並記住選擇
+export const setLocale = (locale) => {
+    if (!(locale in locales) || locale === currentLocale) return;
+
+    currentLocale = locale;
+    localStorage.setItem(STORAGE_KEY, locale);
+    document.documentElement.lang = locale;
+    listeners.forEach((listener) => listener());
+};
+
+export const subscribeLocale = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// 依 key (例如 product.fields.title) 取得訊息
+const getMessage = (messages, key) => key.split('.').reduce((result, part) => result?.[part], messages);
+
+// 翻譯：{name} 會替換成 params 的值；訊息為 { one, other } 時依 params.count 選擇單複數
+export const t = (key, params = {}) => {
+    let message = getMessage(locales[currentLocale].messages, key) ?? getMessage(locales[DEFAULT_LOCALE].messages, key);
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(currentLocale).select(Number(params.count) || 0);
+        message = message[category] ?? message.other;
+    }
+
+    return String(message).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+};
+
+// 在元件中使用，語系切換時會重新渲染
+export const useI18n = () => {
+    const locale = useSyncExternalStore(subscribeLocale, getLocale);
+    return { locale, t, setLocale };
+};
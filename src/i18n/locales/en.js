@@ -0,0 +1,459 @@
+// English
+const en = {
+    common: {
+        cancel: 'Cancel',
+        save: 'Save',
+        delete: 'Delete',
+        close: 'Close',
+        login: 'Log in',
+        language: 'Language',
+        updating: 'Updating…',
+        edit: 'Edit',
+        confirm: 'Confirm',
+        separator: ', ',
+    },
+    nav: {
+        admin: 'Admin',
+        products: 'Tours',
+        orders: 'Orders',
+        coupons: 'Coupons',
+        trash: 'Trash',
+    },
+    dashboard: {
+        logout: 'Log out',
+        logoutSuccess: 'You have been logged out.',
+    },
+    theme: {
+        label: 'Theme',
+        light: 'Light',
+        dark: 'Dark',
+        system: 'System',
+    },
+    login: {
+        subtitle: 'Start managing your tours',
+        email: 'Email',
+        emailPlaceholder: 'Enter your email',
+        password: 'Password',
+        passwordPlaceholder: 'Enter your password',
+        remember: 'Remember me',
+        rememberHint: 'If unchecked, you will need to log in again after closing the browser',
+    },
+    session: {
+        expiresIn: 'Your session expires in {time}',
+        relogin: 'Log in again',
+        expired: 'Your session has expired. Please log in again.',
+        tokenInvalid: 'Token verification failed: {message}',
+    },
+    errors: {
+        unauthorized: 'Login failed. Please check your email and password.',
+        forbidden: 'You do not have permission to do this.',
+        unknown: 'An unknown error occurred.',
+    },
+    product: {
+        modalTitle: {
+            preview: 'Product details',
+            add: 'New product',
+            edit: 'Edit product',
+            delete: 'Delete product',
+        },
+        fields: {
+            title: 'Title',
+            category: 'Category',
+            unit: 'Unit',
+            origin_price: 'Original price',
+            price: 'Price',
+            ticket_quantity: 'Stock',
+            description: 'Description',
+            content: 'Content',
+            is_enabled: 'Enabled',
+            imageUrl: 'Main image',
+            imagesUrl: 'Additional images',
+        },
+        placeholders: {
+            title: 'Enter the product title',
+            content: 'Enter the product content',
+            description: 'Enter the product description',
+            category: 'Enter the category',
+            unit: 'Enter the unit',
+            price: 'Enter an amount',
+            ticket_quantity: 'Enter the stock quantity',
+            imageUrl: 'Enter an image URL (jpg, png...)',
+        },
+        uploadImages: 'Upload images (up to {max})',
+        addImageUrl: 'Add URL',
+        uploadedImages: 'Uploaded images',
+        maxImages: {
+            one: 'You can upload up to {max} image',
+            other: 'You can upload up to {max} images',
+        },
+        added: 'Product created.',
+        confirmDelete: 'Are you sure you want to delete {title}?',
+        draftFound: 'You have an unsaved draft from {time}. Restore it?',
+        restoreDraft: 'Restore draft',
+        dismissDraft: 'Discard',
+        unsavedChanges: 'You have unsaved changes. Discard them?',
+        discardChanges: 'Discard changes',
+        keepEditing: 'Keep editing',
+        tabs: {
+            detail: 'Details',
+            edit: 'Edit',
+        },
+    },
+    productList: {
+        import: 'Import',
+        export: 'Export',
+        exported: {
+            one: 'Exported {count} product',
+            other: 'Exported {count} products',
+        },
+        notFound: 'Product not found.',
+        selectAll: 'Select all products on this page',
+        select: 'Select {title}',
+        image: 'Image',
+        empty: 'No products match the filters',
+        preview: 'Preview',
+        duplicate: 'Duplicate',
+        copyTitle: '{title} (copy)',
+        search: 'Search products',
+        searchPlaceholder: 'Search by title or description',
+        categoryFilter: 'Filter by category',
+        allCategories: 'All categories',
+        statusFilter: 'Filter by status',
+        statuses: {
+            all: 'All statuses',
+            enabled: 'Enabled',
+            disabled: 'Disabled',
+        },
+        resetFilters: 'Clear',
+    },
+    bulk: {
+        selected: {
+            one: '{count} item selected',
+            other: '{count} items selected',
+        },
+        actions: {
+            enable: 'Enable',
+            disable: 'Disable',
+            category: 'Change category',
+            delete: 'Delete',
+        },
+        running: {
+            enable: 'Enabling…',
+            disable: 'Disabling…',
+            category: 'Changing category…',
+            delete: 'Deleting…',
+        },
+        newCategory: 'New category',
+        confirmDelete: {
+            one: 'Delete {count} item? You can restore it from the trash.',
+            other: 'Delete {count} items? You can restore them from the trash.',
+        },
+        clearSelection: 'Clear selection',
+        resultTitle: '{action} results:',
+        succeeded: '{count} succeeded',
+        failed: '{count} failed',
+        failedItem: '{title}: {message}',
+        retry: 'Retry failed items',
+        succeededItems: 'Succeeded items',
+    },
+    productImport: {
+        title: 'Import products',
+        hint: 'CSV and JSON are supported, with the same columns as the exported file. Rows with an id are matched by id, otherwise by title. Separate additional images with "|".',
+        browse: 'Browse…',
+        noFile: 'No file selected.',
+        parseFailed: 'Could not read the file: {message}',
+        importing: 'Importing…',
+        completed: {
+            one: 'Import complete: {count} row',
+            other: 'Import complete: {count} rows',
+        },
+        completedWithErrors: 'Import finished: {succeeded} succeeded, {failed} failed',
+        failedList: 'These rows could not be imported:',
+        failedRow: 'Row {row} {title}: {message}',
+        status: {
+            new: 'New',
+            changed: 'Update',
+            unchanged: 'No changes',
+            invalid: 'Error',
+        },
+        statusColumn: 'Status',
+        details: 'Details',
+        changedFields: 'Changed fields: {fields}',
+        submit: {
+            one: 'Import ({count} row)',
+            other: 'Import ({count} rows)',
+        },
+    },
+    insights: {
+        total: 'Products',
+        enabledSummary: '{enabled} enabled · {disabled} disabled',
+        tickets: 'Tickets in stock',
+        inventoryValue: 'Inventory value',
+        inventoryValueHint: 'At selling price',
+        averageDiscount: 'Average discount',
+        averageDiscountHint: 'Versus original price',
+        byCategory: 'By category',
+        metric: 'Chart metric',
+        metrics: {
+            count: 'Products',
+            tickets: 'Stock',
+            value: 'Value',
+        },
+        uncategorized: 'Uncategorized',
+        empty: 'No products yet',
+        lowStock: 'Low stock',
+        threshold: 'Below',
+        noLowStock: 'No products with stock below {threshold}',
+        soldOut: 'Sold out',
+        more: {
+            one: '{count} more item',
+            other: '{count} more items',
+        },
+    },
+    markdown: {
+        toolbar: 'Formatting toolbar',
+        preview: 'Preview',
+        empty: 'Nothing to preview',
+        actions: {
+            heading: 'Heading',
+            bold: 'Bold (Ctrl+B)',
+            italic: 'Italic (Ctrl+I)',
+            bulletList: 'Bulleted list',
+            numberedList: 'Numbered list',
+            quote: 'Quote',
+            link: 'Link',
+        },
+        sample: {
+            bold: 'bold text',
+            italic: 'italic text',
+            link: 'link text',
+        },
+    },
+    history: {
+        tab: 'History',
+        loading: 'Loading…',
+        empty: 'No changes recorded yet',
+        actions: {
+            add: 'Added',
+            update: 'Updated',
+            delete: 'Deleted',
+            status: 'Status',
+        },
+        unknownAccount: 'Unknown account',
+        revertEntry: '(revert)',
+        separator: ', ',
+        showDiff: 'Compare',
+        hideDiff: 'Hide',
+        field: 'Field',
+        before: 'Before',
+        after: 'After',
+        enabled: 'Enabled',
+        disabled: 'Disabled',
+        revert: 'Revert',
+        confirmRevert: 'Revert the product to how it was before this change?',
+        saveFirst: 'Save or discard your current changes first',
+        reverted: 'Product reverted.',
+    },
+    inlineEdit: {
+        saving: 'Saving…',
+        saved: 'Saved',
+        error: 'Save failed: {message}',
+    },
+    templates: {
+        startFrom: 'Start from',
+        choose: 'Choose a template…',
+        apply: 'Apply',
+        applied: 'Applied template "{name}"',
+        remove: 'Delete template',
+        removed: 'Deleted template "{name}"',
+        emptyHint: 'No templates yet. Save one while previewing or editing a product.',
+        save: 'Save as template',
+        saved: 'Saved template "{name}"',
+        name: 'Template name',
+        namePlaceholder: 'Enter a template name',
+        overwrite: 'Overwrite',
+        storageError: 'Unable to write to local browser storage',
+    },
+    trash: {
+        deleted: 'Deleted "{title}"',
+        undo: 'Undo',
+        undone: 'Restored "{title}"',
+        undoExpired: 'The delete was already sent. Restore it from the trash.',
+        hint: 'Deleted products are kept in this browser. Restoring creates the product again with a new ID.',
+        loading: 'Loading…',
+        emptyList: 'The trash is empty',
+        columns: {
+            image: 'Image',
+            category: 'Category',
+            title: 'Title',
+            price: 'Price',
+            deletedAt: 'Deleted at',
+            deletedBy: 'Deleted by',
+        },
+        restore: 'Restore',
+        restored: 'Restored "{title}"',
+        purge: 'Delete forever',
+        confirmPurge: 'Confirm delete',
+        purged: 'Permanently deleted "{title}"',
+        empty: 'Empty trash',
+        confirmEmpty: 'Permanently delete every product in the trash?',
+        emptied: 'The trash has been emptied',
+        storageError: 'Unable to access local browser storage',
+        saveFailed: 'Could not save the product to the trash, so it was not deleted',
+    },
+    palette: {
+        title: 'Command palette',
+        placeholder: 'Search tours, pages or actions…',
+        empty: 'No matching items',
+        groups: {
+            products: 'Tours',
+            navigation: 'Go to',
+            actions: 'Actions',
+        },
+        newProduct: 'New tour',
+        theme: 'Theme: {theme}',
+        language: 'Language: {language}',
+        shortcuts: 'Show keyboard shortcuts',
+        edit: 'Edit',
+        footer: 'Enter to preview a tour, {edit} to edit, {delete} to delete',
+    },
+    shortcuts: {
+        title: 'Keyboard shortcuts',
+        groups: {
+            global: 'Global',
+            products: 'Tours',
+            modal: 'Tour dialog',
+            palette: 'Command palette',
+        },
+        palette: 'Open the command palette',
+        help: 'Show keyboard shortcuts',
+        prevPage: 'Previous page',
+        nextPage: 'Next page',
+        newProduct: 'New tour',
+        focusSearch: 'Search tours',
+        editCell: 'Edit the focused table cell',
+        saveCell: 'Save and move to the next cell / row',
+        cancelCell: 'Cancel editing',
+        saveModal: 'Save',
+        closeModal: 'Close',
+        paletteMove: 'Select an item',
+        paletteRun: 'Run / preview a tour',
+        paletteEdit: 'Edit the tour',
+        paletteDelete: 'Delete the tour',
+    },
+    upload: {
+        dropzone: 'Drop images here, or click to choose files',
+        full: 'Limit of {max} images reached',
+        hint: 'jpg or png; files over 3MB are compressed automatically',
+        status: {
+            pending: 'Waiting',
+            compressing: 'Compressing',
+            uploading: 'Uploading',
+            error: 'Failed',
+        },
+        cancel: 'Cancel upload',
+        remove: 'Remove',
+        skipped: {
+            one: 'You can upload up to {max} images; skipped {count} file',
+            other: 'You can upload up to {max} images; skipped {count} files',
+        },
+        invalidType: 'Only jpg and png are supported',
+        loadFailed: 'Could not read the image',
+        encodeFailed: 'Could not convert the image',
+        tooLarge: 'The image is still larger than 3MB after compression',
+    },
+    gallery: {
+        hint: 'Drag images, or select one and use the arrow keys, to reorder. The first image is the main image.',
+        main: 'Main image',
+        sub: 'Image {index}',
+        position: '{name}, {index} of {count}',
+        view: 'View full size',
+        setMain: 'Set as main image',
+        remove: 'Remove image',
+        movedToMain: 'Image {index} is now the main image',
+        moved: 'Moved to position {index}',
+        removed: 'Removed image {index}',
+        lightbox: 'Image viewer',
+        prev: 'Previous image',
+        next: 'Next image',
+    },
+    orders: {
+        deleteAll: 'Delete all orders',
+        columns: {
+            createdAt: 'Order date',
+            id: 'Order number',
+            customer: 'Customer',
+            email: 'Email',
+            total: 'Amount',
+            paid: 'Paid',
+        },
+        empty: 'No orders yet',
+        view: 'View',
+        modalTitle: {
+            detail: 'Order details',
+            delete: 'Delete order',
+            deleteAll: 'Delete all orders',
+        },
+        customer: 'Customer',
+        name: 'Name',
+        tel: 'Phone',
+        address: 'Address',
+        message: 'Message',
+        order: 'Order',
+        paymentStatus: 'Payment',
+        paid: 'Paid',
+        unpaid: 'Unpaid',
+        item: 'Product',
+        qty: 'Quantity',
+        subtotal: 'Subtotal',
+        total: 'Total',
+        confirmDelete: 'Are you sure you want to delete order {id}?',
+        confirmDeleteAll: 'Are you sure you want to delete all orders? This cannot be undone.',
+    },
+    coupons: {
+        fields: {
+            title: 'Coupon name',
+            code: 'Code',
+            percent: 'Discount',
+            due_date: 'Expires',
+            is_enabled: 'Enabled',
+        },
+        percentLabel: 'Discount (%)',
+        placeholders: {
+            title: 'Enter the coupon name',
+            code: 'Enter the coupon code',
+            percent: 'Enter a discount percentage',
+        },
+        empty: 'No coupons yet',
+        expired: 'Expired',
+        expiredHint: 'This coupon has expired',
+        modalTitle: {
+            add: 'New coupon',
+            edit: 'Edit coupon',
+            delete: 'Delete coupon',
+        },
+        added: 'Coupon created.',
+        confirmDelete: 'Are you sure you want to delete {title}?',
+    },
+    validation: {
+        required: 'This field is required',
+        number: 'Must be a number',
+        integer: 'Must be a whole number',
+        min: 'Must be at least {min}',
+        max: 'Must be at most {max}',
+        url: 'Invalid URL',
+        maxLength: {
+            one: 'At most {count} character',
+            other: 'At most {count} characters',
+        },
+        maxItems: {
+            one: 'At most {count} item',
+            other: 'At most {count} items',
+        },
+        item: 'Item {index}: {message}',
+        field: '{field}: {message}',
+        priceAboveOrigin: 'Price cannot be higher than the original price',
+    },
+};
+
+export default en;
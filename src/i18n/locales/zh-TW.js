@@ -0,0 +1,429 @@
+// 繁體中文
+const zhTW = {
+    common: {
+        cancel: '取消',
+        save: '儲存',
+        delete: '刪除',
+        close: '關閉',
+        login: '登入',
+        language: '語言',
+        updating: '更新中…',
+        edit: '編輯',
+        confirm: '確定',
+        separator: '、',
+    },
+    nav: {
+        admin: '後台',
+        products: '旅程管理',
+        orders: '訂單管理',
+        coupons: '優惠券管理',
+        trash: '垃圾桶',
+    },
+    dashboard: {
+        logout: '登出',
+        logoutSuccess: '已成功登出！',
+    },
+    theme: {
+        label: '佈景主題',
+        light: '淺色',
+        dark: '深色',
+        system: '跟隨系統',
+    },
+    login: {
+        subtitle: '開始您的旅程管理',
+        email: '電子信箱',
+        emailPlaceholder: '請輸入 Email',
+        password: '密碼',
+        passwordPlaceholder: '請輸入密碼',
+        remember: '記住我',
+        rememberHint: '未勾選時關閉瀏覽器後需重新登入',
+    },
+    session: {
+        expiresIn: '登入將在 {time} 後到期',
+        relogin: '重新登入',
+        expired: '登入已逾時，請重新登入',
+        tokenInvalid: 'Token 驗證失敗：{message}！',
+    },
+    errors: {
+        unauthorized: '登入失敗，請重新檢查帳號密碼',
+        forbidden: '無權限進行此操作',
+        unknown: '發生未知錯誤',
+    },
+    product: {
+        modalTitle: {
+            preview: '商品詳情',
+            add: '新增商品',
+            edit: '編輯商品',
+            delete: '刪除商品',
+        },
+        fields: {
+            title: '商品名稱',
+            category: '分類',
+            unit: '單位',
+            origin_price: '原價',
+            price: '售價',
+            ticket_quantity: '庫存',
+            description: '商品描述',
+            content: '商品內容',
+            is_enabled: '啟用',
+            imageUrl: '主圖',
+            imagesUrl: '副圖',
+        },
+        placeholders: {
+            title: '請輸入商品名稱',
+            content: '請輸入商品內容',
+            description: '請輸入商品描述',
+            category: '請輸入商品類別',
+            unit: '請輸入商品單位',
+            price: '請輸入金額',
+            ticket_quantity: '請輸入庫存數量',
+            imageUrl: '請輸入圖片連結 (jpg, png...)',
+        },
+        uploadImages: '上傳圖片 (最多 {max} 張)',
+        addImageUrl: '新增連結',
+        uploadedImages: '已上傳圖片',
+        maxImages: '最多只能上傳 {max} 張圖片',
+        added: '已新增產品！',
+        confirmDelete: '確定要刪除 {title} 嗎？',
+        draftFound: '有一份 {time} 未儲存的草稿，要還原嗎？',
+        restoreDraft: '還原草稿',
+        dismissDraft: '捨棄',
+        unsavedChanges: '尚有未儲存的變更，確定要放棄嗎？',
+        discardChanges: '放棄變更',
+        keepEditing: '繼續編輯',
+        tabs: {
+            detail: '商品內容',
+            edit: '編輯內容',
+        },
+    },
+    productList: {
+        import: '匯入',
+        export: '匯出',
+        exported: '已匯出 {count} 筆商品',
+        notFound: '找不到此產品！',
+        selectAll: '選取本頁全部商品',
+        select: '選取 {title}',
+        image: '景觀',
+        empty: '沒有符合條件的商品',
+        preview: '預覽',
+        duplicate: '複製',
+        copyTitle: '{title} (複本)',
+        search: '搜尋商品',
+        searchPlaceholder: '搜尋商品名稱或描述',
+        categoryFilter: '分類篩選',
+        allCategories: '全部分類',
+        statusFilter: '狀態篩選',
+        statuses: {
+            all: '全部狀態',
+            enabled: '已啟用',
+            disabled: '未啟用',
+        },
+        resetFilters: '清除',
+    },
+    bulk: {
+        selected: '已選取 {count} 項',
+        actions: {
+            enable: '啟用',
+            disable: '停用',
+            category: '變更分類',
+            delete: '刪除',
+        },
+        running: {
+            enable: '啟用中…',
+            disable: '停用中…',
+            category: '變更分類中…',
+            delete: '刪除中…',
+        },
+        newCategory: '新分類',
+        confirmDelete: '確定刪除 {count} 項？(可於垃圾桶還原)',
+        clearSelection: '取消選取',
+        resultTitle: '{action}結果：',
+        succeeded: '{count} 項成功',
+        failed: '{count} 項失敗',
+        failedItem: '{title}：{message}',
+        retry: '重試失敗項目',
+        succeededItems: '成功項目',
+    },
+    productImport: {
+        title: '匯入商品',
+        hint: '支援 CSV 與 JSON，欄位與匯出的檔案相同。有 id 的資料以 id 比對，否則以商品名稱比對；副圖請以「|」分隔。',
+        browse: '瀏覽...',
+        noFile: '未選擇檔案。',
+        parseFailed: '檔案解析失敗：{message}',
+        importing: '匯入中…',
+        completed: '匯入完成，共 {count} 筆',
+        completedWithErrors: '匯入完成，{succeeded} 筆成功，{failed} 筆失敗',
+        failedList: '以下資料匯入失敗：',
+        failedRow: '第 {row} 筆 {title}：{message}',
+        status: {
+            new: '新增',
+            changed: '更新',
+            unchanged: '無變更',
+            invalid: '錯誤',
+        },
+        statusColumn: '狀態',
+        details: '說明',
+        changedFields: '變更欄位：{fields}',
+        submit: '確認匯入 ({count} 筆)',
+    },
+    insights: {
+        total: '商品總數',
+        enabledSummary: '啟用 {enabled}・停用 {disabled}',
+        tickets: '票券總庫存',
+        inventoryValue: '庫存價值',
+        inventoryValueHint: '以售價計算',
+        averageDiscount: '平均折扣',
+        averageDiscountHint: '相較原價',
+        byCategory: '分類分布',
+        metric: '圖表指標',
+        metrics: {
+            count: '商品數',
+            tickets: '庫存',
+            value: '價值',
+        },
+        uncategorized: '未分類',
+        empty: '尚無商品',
+        lowStock: '低庫存',
+        threshold: '門檻',
+        noLowStock: '沒有庫存低於 {threshold} 的商品',
+        soldOut: '售完',
+        more: '還有 {count} 項',
+    },
+    markdown: {
+        toolbar: '格式工具列',
+        preview: '預覽',
+        empty: '尚無內容',
+        actions: {
+            heading: '標題',
+            bold: '粗體 (Ctrl+B)',
+            italic: '斜體 (Ctrl+I)',
+            bulletList: '項目清單',
+            numberedList: '編號清單',
+            quote: '引言',
+            link: '連結',
+        },
+        sample: {
+            bold: '粗體文字',
+            italic: '斜體文字',
+            link: '連結文字',
+        },
+    },
+    history: {
+        tab: '異動紀錄',
+        loading: '讀取中…',
+        empty: '目前沒有異動紀錄',
+        actions: {
+            add: '新增',
+            update: '更新',
+            delete: '刪除',
+            status: '狀態',
+        },
+        unknownAccount: '未知帳號',
+        revertEntry: '(還原)',
+        separator: '、',
+        showDiff: '比對',
+        hideDiff: '收合',
+        field: '欄位',
+        before: '變更前',
+        after: '變更後',
+        enabled: '啟用',
+        disabled: '停用',
+        revert: '還原',
+        confirmRevert: '確定要將產品還原為這次變更前的內容嗎？',
+        saveFirst: '請先儲存或放棄目前的變更',
+        reverted: '已還原產品！',
+    },
+    inlineEdit: {
+        saving: '儲存中…',
+        saved: '已儲存',
+        error: '儲存失敗：{message}',
+    },
+    templates: {
+        startFrom: '從範本開始',
+        choose: '選擇範本…',
+        apply: '套用',
+        applied: '已套用範本「{name}」',
+        remove: '刪除範本',
+        removed: '已刪除範本「{name}」',
+        emptyHint: '還沒有範本，可以在預覽或編輯產品時存成範本。',
+        save: '存為範本',
+        saved: '已儲存範本「{name}」',
+        name: '範本名稱',
+        namePlaceholder: '請輸入範本名稱',
+        overwrite: '覆蓋',
+        storageError: '無法寫入瀏覽器的本機資料',
+    },
+    trash: {
+        deleted: '已刪除「{title}」',
+        undo: '復原',
+        undone: '已復原「{title}」',
+        undoExpired: '已送出刪除，請從垃圾桶還原',
+        hint: '刪除的產品會保存在這台電腦的瀏覽器中，還原時會重新新增一筆產品 (編號會改變)。',
+        loading: '讀取中…',
+        emptyList: '垃圾桶是空的',
+        columns: {
+            image: '景觀',
+            category: '分類',
+            title: '商品名稱',
+            price: '售價',
+            deletedAt: '刪除時間',
+            deletedBy: '刪除者',
+        },
+        restore: '還原',
+        restored: '已還原「{title}」',
+        purge: '永久刪除',
+        confirmPurge: '確定永久刪除',
+        purged: '已永久刪除「{title}」',
+        empty: '清空垃圾桶',
+        confirmEmpty: '確定要永久刪除垃圾桶中的全部產品嗎？',
+        emptied: '已清空垃圾桶',
+        storageError: '無法存取瀏覽器的本機資料',
+        saveFailed: '無法寫入垃圾桶，已取消刪除',
+    },
+    palette: {
+        title: '指令面板',
+        placeholder: '搜尋商品、頁面或動作…',
+        empty: '找不到符合的項目',
+        groups: {
+            products: '商品',
+            navigation: '前往',
+            actions: '動作',
+        },
+        newProduct: '新增商品',
+        theme: '佈景主題：{theme}',
+        language: '語言：{language}',
+        shortcuts: '顯示快捷鍵',
+        edit: '編輯',
+        footer: 'Enter 預覽商品，{edit} 編輯，{delete} 刪除',
+    },
+    shortcuts: {
+        title: '鍵盤快捷鍵',
+        groups: {
+            global: '全域',
+            products: '旅程管理',
+            modal: '商品視窗',
+            palette: '指令面板',
+        },
+        palette: '開啟指令面板',
+        help: '顯示快捷鍵說明',
+        prevPage: '上一頁',
+        nextPage: '下一頁',
+        newProduct: '新增商品',
+        focusSearch: '搜尋商品',
+        editCell: '編輯表格中選取的格子',
+        saveCell: '儲存並移到下一格 / 下一列',
+        cancelCell: '取消編輯',
+        saveModal: '儲存',
+        closeModal: '關閉',
+        paletteMove: '選擇項目',
+        paletteRun: '執行 / 預覽商品',
+        paletteEdit: '編輯商品',
+        paletteDelete: '刪除商品',
+    },
+    upload: {
+        dropzone: '拖曳圖片到這裡，或點擊選擇檔案',
+        full: '已達 {max} 張上限',
+        hint: 'jpg、png，超過 3MB 會自動壓縮',
+        status: {
+            pending: '等待中',
+            compressing: '壓縮中',
+            uploading: '上傳中',
+            error: '失敗',
+        },
+        cancel: '取消上傳',
+        remove: '移除',
+        skipped: '最多只能上傳 {max} 張圖片，已略過 {count} 個檔案',
+        invalidType: '只支援 jpg、png 格式',
+        loadFailed: '無法讀取圖片',
+        encodeFailed: '圖片轉檔失敗',
+        tooLarge: '圖片壓縮後仍超過 3MB',
+    },
+    gallery: {
+        hint: '拖曳圖片或選取後按方向鍵調整順序，第 1 張為主圖。',
+        main: '主圖',
+        sub: '副圖 {index}',
+        position: '{name}，第 {index} 張，共 {count} 張',
+        view: '檢視大圖',
+        setMain: '設為主圖',
+        remove: '刪除圖片',
+        movedToMain: '已將第 {index} 張設為主圖',
+        moved: '已移動到第 {index} 張',
+        removed: '已刪除第 {index} 張',
+        lightbox: '檢視圖片',
+        prev: '上一張',
+        next: '下一張',
+    },
+    orders: {
+        deleteAll: '刪除全部訂單',
+        columns: {
+            createdAt: '下單時間',
+            id: '訂單編號',
+            customer: '顧客',
+            email: 'Email',
+            total: '金額',
+            paid: '已付款',
+        },
+        empty: '目前沒有訂單',
+        view: '查看',
+        modalTitle: {
+            detail: '訂單詳情',
+            delete: '刪除訂單',
+            deleteAll: '刪除全部訂單',
+        },
+        customer: '顧客資料',
+        name: '姓名',
+        tel: '電話',
+        address: '地址',
+        message: '留言',
+        order: '訂單資料',
+        paymentStatus: '付款狀態',
+        paid: '已付款',
+        unpaid: '未付款',
+        item: '商品名稱',
+        qty: '數量',
+        subtotal: '小計',
+        total: '總金額',
+        confirmDelete: '確定要刪除訂單 {id} 嗎？',
+        confirmDeleteAll: '確定要刪除全部訂單嗎？此操作無法復原。',
+    },
+    coupons: {
+        fields: {
+            title: '優惠券名稱',
+            code: '優惠碼',
+            percent: '折扣',
+            due_date: '到期日',
+            is_enabled: '啟用',
+        },
+        percentLabel: '折扣 (%)',
+        placeholders: {
+            title: '請輸入優惠券名稱',
+            code: '請輸入優惠碼',
+            percent: '請輸入折扣百分比',
+        },
+        empty: '目前沒有優惠券',
+        expired: '已過期',
+        expiredHint: '此優惠券已過期',
+        modalTitle: {
+            add: '新增優惠券',
+            edit: '編輯優惠券',
+            delete: '刪除優惠券',
+        },
+        added: '已新增優惠券！',
+        confirmDelete: '確定要刪除 {title} 嗎？',
+    },
+    validation: {
+        required: '此欄位為必填',
+        number: '必須為數字',
+        integer: '必須為整數',
+        min: '不可小於 {min}',
+        max: '不可大於 {max}',
+        url: '網址格式不正確',
+        maxLength: '最多 {count} 個字',
+        maxItems: '最多 {count} 筆',
+        item: '第 {index} 筆{message}',
+        field: '{field}：{message}',
+        priceAboveOrigin: '售價不可高於原價',
+    },
+};
+
+export default zhTW;
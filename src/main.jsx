@@ -1,6 +1,8 @@
 import { StrictMode } from 'react';
 import { createRoot } from 'react-dom/client';
-import App from './App.jsx';
+import { RouterProvider } from 'react-router';
+import router from './router';
+import AppProvider from './store/AppProvider';
 
 // Bootstrap
 import './assets/scss/all.scss';
@@ -8,6 +10,8 @@ import 'bootstrap/dist/js/bootstrap.bundle.min.js';
 
 createRoot(document.getElementById('root')).render(
     <StrictMode>
-        <App />
+        <AppProvider>
+            <RouterProvider router={router} />
+        </AppProvider>
     </StrictMode>
 );
@@ -0,0 +1,322 @@
+import { AxiosError, CanceledError } from 'axios';
+
+import { MOCK_ACCOUNT } from './seed';
+import { createId, getAll, getById, save, remove, clear } from './db';
+
+// 模擬網路延遲 (毫秒)
+const DELAY = 300;
+
+// Token 有效時間 (毫秒)
+const TOKEN_LIFETIME = 7 * 24 * 60 * 60 * 1000;
+
+// 每頁筆數 (與正式 API 相同)
+const PRODUCTS_PER_PAGE = 10;
+const ORDERS_PER_PAGE = 10;
+const COUPONS_PER_PAGE = 10;
+
+// 產品必填欄位 (錯誤訊息格式與正式 API 相同)
+const REQUIRED_PRODUCT_FIELDS = ['title', 'category', 'unit', 'origin_price', 'price'];
+
+const toMap = (items) => Object.fromEntries(items.map((item) => [item.id, item]));
+
+// 回應錯誤時使用，讓 adapter 轉成 AxiosError
+class MockHttpError extends Error {
+    constructor(status, data) {
+        super(typeof data.message === 'string' ? data.message : `Request failed with status code ${status}`);
+        this.status = status;
+        this.data = data;
+    }
+}
+
+const fail = (status, message) => {
+    throw new MockHttpError(status, { success: false, message });
+};
+
+// 分頁 (回傳格式與正式 API 相同)
+const paginate = (items, page, perPage, extra = {}) => {
+    const totalPages = Math.max(Math.ceil(items.length / perPage), 1);
+    const currentPage = Math.min(Math.max(Number(page) || 1, 1), totalPages);
+
+    return {
+        items: items.slice((currentPage - 1) * perPage, currentPage * perPage),
+        pagination: {
+            total_pages: totalPages,
+            current_page: currentPage,
+            has_pre: currentPage > 1,
+            has_next: currentPage < totalPages,
+            ...extra,
+        },
+    };
+};
+
+// 檢查 Token
+const requireAuth = (config) => {
+    const token = config.headers?.Authorization;
+    const session = token ? getById('tokens', token) : null;
+
+    if (!session || session.expired < Date.now()) {
+        fail(401, '驗證錯誤, 請重新登入');
+    }
+};
+
+const validateProduct = (product) => {
+    const messages = REQUIRED_PRODUCT_FIELDS.filter(
+        (field) => product[field] === undefined || product[field] === null || product[field] === ''
+    ).map((field) => `${field} 屬性不得為空`);
+
+    if (messages.length > 0) {
+        throw new MockHttpError(400, { success: false, message: messages });
+    }
+};
+
+// 路由表：[方法, 路徑 (網址結尾), 處理函式, 是否需要登入]
+const routes = [
+    [
+        'post',
+        /admin\/signin$/,
+        ({ body }) => {
+            if (body?.username !== MOCK_ACCOUNT.username || body?.password !== MOCK_ACCOUNT.password) {
+                fail(401, '登入失敗');
+            }
+            const token = createId();
+            const expired = Date.now() + TOKEN_LIFETIME;
+            save('tokens', { id: token, expired });
+            return { success: true, message: '登入成功', uid: 'mock-admin', token, expired };
+        },
+        false,
+    ],
+    ['post', /api\/user\/check$/, () => ({ success: true, uid: 'mock-admin' }), true],
+    [
+        'post',
+        /logout$/,
+        ({ config }) => {
+            const token = config.headers?.Authorization;
+            if (token) remove('tokens', token);
+            return { success: true, message: '已登出' };
+        },
+        false,
+    ],
+
+    // 產品
+    ['get', /admin\/products\/all$/, () => ({ success: true, products: toMap(getAll('products')) }), true],
+    [
+        'get',
+        /admin\/products$/,
+        ({ params }) => {
+            const category = params?.category || '';
+            const products = getAll('products').filter((product) => !category || product.category === category);
+            const { items, pagination } = paginate(products, params?.page, PRODUCTS_PER_PAGE, { category });
+            return { success: true, products: items, pagination, messages: [] };
+        },
+        true,
+    ],
+    [
+        'post',
+        /admin\/product$/,
+        ({ body }) => {
+            const product = body?.data || {};
+            validateProduct(product);
+            save('products', { ...product, id: createId() });
+            return { success: true, message: '已建立產品' };
+        },
+        true,
+    ],
+    [
+        'put',
+        /admin\/product\/([^/]+)$/,
+        ({ body, match }) => {
+            const [, id] = match;
+            if (!getById('products', id)) fail(400, '找不到產品');
+
+            const product = body?.data || {};
+            validateProduct(product);
+            save('products', { ...product, id });
+            return { success: true, message: '已更新產品' };
+        },
+        true,
+    ],
+    [
+        'delete',
+        /admin\/product\/([^/]+)$/,
+        ({ match }) => {
+            const [, id] = match;
+            if (!getById('products', id)) fail(400, '找不到產品');
+
+            remove('products', id);
+            return { success: true, message: '已刪除產品' };
+        },
+        true,
+    ],
+    [
+        'post',
+        /admin\/upload$/,
+        ({ body }) => {
+            const file = body instanceof FormData ? body.get('file-to-upload') : null;
+            if (!file) fail(400, '請選擇檔案');
+
+            // 不實際儲存圖片，回傳以檔名產生的示意圖
+            const text = encodeURIComponent(file.name || 'image');
+            return { success: true, imageUrl: `https://placehold.co/800x600?text=${text}` };
+        },
+        true,
+    ],
+
+    // 訂單
+    [
+        'get',
+        /admin\/orders$/,
+        ({ params }) => {
+            const orders = getAll('orders').sort((a, b) => b.create_at - a.create_at);
+            const { items, pagination } = paginate(orders, params?.page, ORDERS_PER_PAGE, { category: '' });
+            return { success: true, orders: items, pagination, messages: [] };
+        },
+        true,
+    ],
+    [
+        'delete',
+        /admin\/orders\/all$/,
+        () => {
+            clear('orders');
+            return { success: true, message: '已刪除全部訂單' };
+        },
+        true,
+    ],
+    [
+        'put',
+        /admin\/order\/([^/]+)$/,
+        ({ body, match }) => {
+            const [, id] = match;
+            const order = getById('orders', id);
+            if (!order) fail(400, '找不到訂單');
+
+            save('orders', { ...order, ...body?.data, id });
+            return { success: true, message: '已更新訂單' };
+        },
+        true,
+    ],
+    [
+        'delete',
+        /admin\/order\/([^/]+)$/,
+        ({ match }) => {
+            const [, id] = match;
+            if (!getById('orders', id)) fail(400, '找不到訂單');
+
+            remove('orders', id);
+            return { success: true, message: '已刪除訂單' };
+        },
+        true,
+    ],
+
+    // 優惠券
+    [
+        'get',
+        /admin\/coupons$/,
+        ({ params }) => {
+            const { items, pagination } = paginate(getAll('coupons'), params?.page, COUPONS_PER_PAGE, {
+                category: '',
+            });
+            return { success: true, coupons: items, pagination, messages: [] };
+        },
+        true,
+    ],
+    [
+        'post',
+        /admin\/coupon$/,
+        ({ body }) => {
+            save('coupons', { ...body?.data, id: createId() });
+            return { success: true, message: '已建立優惠券' };
+        },
+        true,
+    ],
+    [
+        'put',
+        /admin\/coupon\/([^/]+)$/,
+        ({ body, match }) => {
+            const [, id] = match;
+            if (!getById('coupons', id)) fail(400, '找不到優惠券');
+
+            save('coupons', { ...body?.data, id });
+            return { success: true, message: '已更新優惠券' };
+        },
+        true,
+    ],
+    [
+        'delete',
+        /admin\/coupon\/([^/]+)$/,
+        ({ match }) => {
+            const [, id] = match;
+            if (!getById('coupons', id)) fail(400, '找不到優惠券');
+
+            remove('coupons', id);
+            return { success: true, message: '已刪除優惠券' };
+        },
+        true,
+    ],
+];
+
+// 等待延遲，過程中可被取消
+const wait = (ms, signal) =>
+    new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new CanceledError());
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener?.('abort', () => {
+            clearTimeout(timer);
+            reject(new CanceledError());
+        });
+    });
+
+// 模擬上傳進度
+const simulateUploadProgress = async (config, body) => {
+    const total = body?.get?.('file-to-upload')?.size || 1;
+    for (const ratio of [0.25, 0.5, 0.75, 1]) {
+        await wait(DELAY / 2, config.signal);
+        config.onUploadProgress({ loaded: Math.round(total * ratio), total, progress: ratio });
+    }
+};
+
+const parseBody = (data) => {
+    if (typeof data !== 'string') return data;
+    try {
+        return JSON.parse(data);
+    } catch {
+        return data;
+    }
+};
+
+// axios adapter：依網址與方法找到對應的處理函式，回傳與正式 API 相同格式的資料
+export const mockAdapter = async (config) => {
+    const method = (config.method || 'get').toLowerCase();
+    const [url, query = ''] = `${config.baseURL || ''}${config.url || ''}`.split('?');
+    const body = parseBody(config.data);
+    // 網址上的查詢參數 (例如 orders?page=2) 與 config.params 合併
+    const params = { ...Object.fromEntries(new URLSearchParams(query)), ...config.params };
+
+    const request = { method, url };
+    const respond = (status, data) => ({ data, status, statusText: String(status), headers: {}, config, request });
+
+    if (config.onUploadProgress && body instanceof FormData) {
+        await simulateUploadProgress(config, body);
+    } else {
+        await wait(DELAY, config.signal);
+    }
+
+    const route = routes.find(([routeMethod, pattern]) => routeMethod === method && pattern.test(url));
+
+    try {
+        if (!route) fail(404, '找不到此 API');
+
+        const [, pattern, handler, needsAuth] = route;
+        if (needsAuth) requireAuth(config);
+
+        return respond(200, handler({ config, body, params, match: url.match(pattern) }));
+    } catch (error) {
+        if (!(error instanceof MockHttpError)) throw error;
+
+        const response = respond(error.status, error.data);
+        const code = error.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+        throw new AxiosError(`Request failed with status code ${error.status}`, code, config, request, response);
+    }
+};
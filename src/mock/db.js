@@ -0,0 +1,65 @@
+import { seedProducts, seedOrders, seedCoupons } from './seed';
+
+// 模擬資料存在 localStorage，重新整理後仍會保留
+const STORAGE_KEY = 'mockDb';
+
+const toMap = (items) => Object.fromEntries(items.map((item) => [item.id, item]));
+
+const createSeedData = () => ({
+    products: toMap(seedProducts),
+    orders: toMap(seedOrders),
+    coupons: toMap(seedCoupons),
+    tokens: {}, // { token: 到期時間 (毫秒) }
+});
+
+const loadData = () => {
+    try {
+        const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (data && data.products) return data;
+    } catch {
+        // 資料損毀時重新建立
+    }
+    return createSeedData();
+};
+
+// 第一次使用時才讀取資料
+let data = null;
+const getData = () => {
+    if (!data) data = loadData();
+    return data;
+};
+
+// 寫回 localStorage (空間不足時只保留在記憶體)
+const persist = () => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch {
+        // 無法寫入時略過
+    }
+};
+
+// 產生與正式 API 類似的 id
+export const createId = () => `-Mock${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+// 取得資料表 (回傳複本，避免外部直接修改)
+export const getAll = (table) => Object.values(structuredClone(getData()[table]));
+
+export const getById = (table, id) => {
+    const item = getData()[table][id];
+    return item ? structuredClone(item) : null;
+};
+
+export const save = (table, item) => {
+    getData()[table][item.id] = structuredClone(item);
+    persist();
+};
+
+export const remove = (table, id) => {
+    delete getData()[table][id];
+    persist();
+};
+
+export const clear = (table) => {
+    getData()[table] = {};
+    persist();
+};
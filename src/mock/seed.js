@@ -0,0 +1,245 @@
+// 模擬後端的初始資料
+
+// 模擬登入帳號
+export const MOCK_ACCOUNT = {
+    username: 'admin@example.com',
+    password: '12345678',
+};
+
+const image = (seed) => `https://picsum.photos/seed/${seed}/800/600`;
+
+const createProduct = (id, data) => ({
+    id,
+    origin_price: 0,
+    price: 0,
+    unit: '張',
+    description: '',
+    content: '',
+    is_enabled: 1,
+    imagesUrl: [],
+    ...data,
+});
+
+export const seedProducts = [
+    createProduct('-MockTokyo001', {
+        title: '東京晴空塔展望台門票',
+        category: '日本',
+        origin_price: 1200,
+        price: 990,
+        ticket_quantity: 120,
+        description: '登上 450 公尺高的天望迴廊，俯瞰整個東京市景。',
+        content: '含天望甲板及天望迴廊入場，票券限當日使用。',
+        imageUrl: image('tokyo-skytree'),
+        imagesUrl: [image('tokyo-night'), image('tokyo-asakusa')],
+    }),
+    createProduct('-MockKyoto002', {
+        title: '京都和服體驗一日遊',
+        category: '日本',
+        origin_price: 2800,
+        price: 2380,
+        unit: '人',
+        ticket_quantity: 30,
+        description: '穿上和服漫步清水寺與八坂神社。',
+        content: '含和服租借、髮型整理，需於 17:00 前歸還。',
+        imageUrl: image('kyoto-kimono'),
+        imagesUrl: [image('kyoto-temple')],
+    }),
+    createProduct('-MockOsaka003', {
+        title: '大阪環球影城一日券',
+        category: '日本',
+        origin_price: 2600,
+        price: 2450,
+        ticket_quantity: 8,
+        description: '暢玩超級任天堂世界與哈利波特魔法世界。',
+        content: '電子票券，入園時出示 QR Code 即可。',
+        imageUrl: image('osaka-usj'),
+    }),
+    createProduct('-MockHokkaido004', {
+        title: '北海道富良野薰衣草花田巴士',
+        category: '日本',
+        origin_price: 3200,
+        price: 2880,
+        unit: '人',
+        ticket_quantity: 0,
+        description: '夏季限定，走訪富田農場與美瑛青池。',
+        content: '札幌出發，含中文導遊，不含餐。',
+        is_enabled: 0,
+        imageUrl: image('furano-lavender'),
+    }),
+    createProduct('-MockSeoul005', {
+        title: '首爾樂天世界門票',
+        category: '韓國',
+        origin_price: 1500,
+        price: 1280,
+        ticket_quantity: 60,
+        description: '全球最大的室內主題樂園之一。',
+        content: '含室內探險世界與戶外魔幻島。',
+        imageUrl: image('seoul-lotte'),
+        imagesUrl: [image('seoul-tower')],
+    }),
+    createProduct('-MockBusan006', {
+        title: '釜山甘川洞文化村導覽',
+        category: '韓國',
+        origin_price: 900,
+        price: 750,
+        unit: '人',
+        ticket_quantity: 25,
+        description: '被譽為韓國的馬丘比丘，色彩繽紛的山城聚落。',
+        content: '中文導覽 2 小時，含村落地圖與紀念章。',
+        imageUrl: image('busan-gamcheon'),
+    }),
+    createProduct('-MockJeju007', {
+        title: '濟州島東部一日遊',
+        category: '韓國',
+        origin_price: 2200,
+        price: 1990,
+        unit: '人',
+        ticket_quantity: 4,
+        description: '城山日出峰、涉地可支與萬丈窟一次走完。',
+        content: '飯店接送，含午餐。',
+        imageUrl: image('jeju-seongsan'),
+    }),
+    createProduct('-MockTaipei008', {
+        title: '台北 101 觀景台門票',
+        category: '台灣',
+        origin_price: 600,
+        price: 600,
+        ticket_quantity: 200,
+        description: '從 89 樓欣賞台北盆地的 360 度景觀。',
+        content: '全票，適用 12 歲以上。',
+        imageUrl: image('taipei-101'),
+    }),
+    createProduct('-MockTaroko009', {
+        title: '太魯閣峽谷包車之旅',
+        category: '台灣',
+        origin_price: 4500,
+        price: 3800,
+        unit: '車',
+        ticket_quantity: 10,
+        description: '燕子口、九曲洞與長春祠的壯麗峽谷景色。',
+        content: '花蓮市區出發，8 小時包車，含司機導覽。',
+        imageUrl: image('taroko-gorge'),
+        imagesUrl: [image('taroko-river'), image('hualien-sea')],
+    }),
+    createProduct('-MockAlishan010', {
+        title: '阿里山森林鐵路祝山線',
+        category: '台灣',
+        origin_price: 150,
+        price: 150,
+        ticket_quantity: 3,
+        description: '搭乘小火車前往祝山觀賞日出與雲海。',
+        content: '單程票，班次依日出時間調整。',
+        imageUrl: image('alishan-train'),
+    }),
+    createProduct('-MockParis011', {
+        title: '巴黎羅浮宮優先入場',
+        category: '歐洲',
+        origin_price: 2100,
+        price: 1850,
+        ticket_quantity: 40,
+        description: '免排隊直達，欣賞蒙娜麗莎與勝利女神像。',
+        content: '指定時段入場，含中文語音導覽。',
+        imageUrl: image('paris-louvre'),
+    }),
+    createProduct('-MockSwiss012', {
+        title: '瑞士少女峰鐵道來回票',
+        category: '歐洲',
+        origin_price: 7800,
+        price: 7200,
+        ticket_quantity: 15,
+        description: '登上歐洲之巔，海拔 3454 公尺的少女峰車站。',
+        content: '因特拉肯出發來回，含冰宮與斯芬克斯觀景台。',
+        imageUrl: image('swiss-jungfrau'),
+        imagesUrl: [image('swiss-alps')],
+    }),
+    createProduct('-MockBangkok013', {
+        title: '曼谷水上市場半日遊',
+        category: '東南亞',
+        origin_price: 1100,
+        price: 890,
+        unit: '人',
+        ticket_quantity: 50,
+        description: '搭長尾船穿梭丹嫩莎朵水上市場。',
+        content: '含飯店接送與長尾船體驗。',
+        imageUrl: image('bangkok-market'),
+    }),
+    createProduct('-MockBali014', {
+        title: '峇里島烏布梯田與叢林鞦韆',
+        category: '東南亞',
+        origin_price: 1800,
+        price: 1500,
+        unit: '人',
+        ticket_quantity: 22,
+        description: '德格拉朗梯田、叢林鞦韆與聖泉寺。',
+        content: '私人司機一日遊，不含鞦韆門票。',
+        is_enabled: 0,
+        imageUrl: image('bali-ubud'),
+    }),
+];
+
+const now = Math.floor(Date.now() / 1000);
+const DAY = 24 * 60 * 60;
+
+const orderItem = (id, product, qty) => ({
+    id,
+    product_id: product.id,
+    product,
+    qty,
+    total: product.price * qty,
+    final_total: product.price * qty,
+});
+
+const createOrder = (id, user, items, data = {}) => {
+    const products = Object.fromEntries(items.map((item) => [item.id, item]));
+    return {
+        id,
+        create_at: now - DAY,
+        is_paid: false,
+        message: '',
+        products,
+        total: items.reduce((sum, item) => sum + item.final_total, 0),
+        user,
+        ...data,
+    };
+};
+
+export const seedOrders = [
+    createOrder(
+        '-MockOrder001',
+        { name: '王小明', email: 'ming@example.com', tel: '0912345678', address: '台北市信義區市府路 1 號' },
+        [orderItem('-MockCart001', seedProducts[0], 2), orderItem('-MockCart002', seedProducts[2], 1)],
+        { is_paid: true, paid_date: now - DAY / 2, message: '請寄送電子票券' }
+    ),
+    createOrder(
+        '-MockOrder002',
+        { name: '陳美麗', email: 'mei@example.com', tel: '0922333444', address: '台中市西屯區台灣大道 100 號' },
+        [orderItem('-MockCart003', seedProducts[8], 1)],
+        { create_at: now - 3 * DAY }
+    ),
+    createOrder(
+        '-MockOrder003',
+        { name: '林大華', email: 'hua@example.com', tel: '0933555666', address: '高雄市前鎮區成功二路 5 號' },
+        [orderItem('-MockCart004', seedProducts[11], 2), orderItem('-MockCart005', seedProducts[10], 2)],
+        { create_at: now - 7 * DAY }
+    ),
+];
+
+export const seedCoupons = [
+    {
+        id: '-MockCoupon001',
+        title: '新會員優惠',
+        code: 'WELCOME10',
+        percent: 90,
+        is_enabled: 1,
+        due_date: now + 30 * DAY,
+    },
+    {
+        id: '-MockCoupon002',
+        title: '暑假旅遊季',
+        code: 'SUMMER85',
+        percent: 85,
+        is_enabled: 1,
+        due_date: now + 60 * DAY,
+    },
+    { id: '-MockCoupon003', title: '春節限定', code: 'CNY2024', percent: 88, is_enabled: 0, due_date: now - 10 * DAY },
+];
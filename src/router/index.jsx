@@ -0,0 +1,63 @@
+import { createHashRouter, Navigate } from 'react-router';
+
+// Components
+import App from '../App';
+import ProtectedRoute from '../components/ProtectedRoute';
+import Login from '../views/Login';
+import Dashboard from '../views/Dashboard';
+import Products from '../views/Products';
+import Orders from '../views/Orders';
+import Coupons from '../views/Coupons';
+import Trash from '../views/Trash';
+
+// 使用 Hash 模式，部署到 GitHub Pages 後重新整理也不會 404
+const router = createHashRouter([
+    {
+        path: '/',
+        element: <App />,
+        children: [
+            {
+                path: 'login',
+                element: <Login />,
+            },
+            {
+                element: <ProtectedRoute />,
+                children: [
+                    {
+                        element: <Dashboard />,
+                        children: [
+                            {
+                                index: true,
+                                element: <Navigate to="products" replace />,
+                            },
+                            {
+                                // :id 為 new 時代表新增，:mode 可為 edit / delete / duplicate，未帶則為預覽
+                                path: 'products',
+                                element: <Products />,
+                                children: [{ path: ':id' }, { path: ':id/:mode' }],
+                            },
+                            {
+                                path: 'orders',
+                                element: <Orders />,
+                            },
+                            {
+                                path: 'coupons',
+                                element: <Coupons />,
+                            },
+                            {
+                                path: 'trash',
+                                element: <Trash />,
+                            },
+                        ],
+                    },
+                ],
+            },
+            {
+                path: '*',
+                element: <Navigate to="/" replace />,
+            },
+        ],
+    },
+]);
+
+export default router;
@@ -0,0 +1,7 @@
+// 後台頁面 (側邊選單與指令面板共用)
+export const navItems = [
+    { path: '/products', titleKey: 'nav.products', icon: 'airplane_ticket' },
+    { path: '/orders', titleKey: 'nav.orders', icon: 'receipt_long' },
+    { path: '/coupons', titleKey: 'nav.coupons', icon: 'confirmation_number' },
+    { path: '/trash', titleKey: 'nav.trash', icon: 'delete' },
+];
@@ -0,0 +1,16 @@
+import LoadingProvider from './LoadingProvider';
+import AuthProvider from './AuthProvider';
+import ProductsProvider from './ProductsProvider';
+
+// 組合全部的 Store，AuthProvider 需要用到 Loading，所以順序不能對調
+const AppProvider = ({ children }) => {
+    return (
+        <LoadingProvider>
+            <AuthProvider>
+                <ProductsProvider>{children}</ProductsProvider>
+            </AuthProvider>
+        </LoadingProvider>
+    );
+};
+
+export default AppProvider;
@@ -0,0 +1,6 @@
+import { createContext, useContext } from 'react';
+
+export const AuthContext = createContext(null);
+
+// 登入狀態
+export const useAuth = () => useContext(AuthContext);
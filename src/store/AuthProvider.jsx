@@ -0,0 +1,122 @@
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+
+import { AuthContext } from './AuthContext';
+import { useLoading } from './LoadingContext';
+
+// Utils
+import {
+    getToken,
+    setToken,
+    removeToken,
+    getTokenExpired,
+    setRememberedEmail,
+    getErrorMessage,
+    notify,
+} from '../utils';
+
+// i18n
+import { t } from '../i18n';
+
+// API
+import { loginApi, checkAdminApi, logoutApi, setUnauthorizedHandler } from '../api/auth';
+
+// 管理登入狀態 (登入、登出、驗證 Token、登入逾時)
+const AuthProvider = ({ children }) => {
+    const { withLoading } = useLoading();
+
+    const [isAuth, setIsAuth] = useState(false);
+    const [isCheckingAuth, setIsCheckingAuth] = useState(true);
+    const [expiresAt, setExpiresAt] = useState(null); // Token 到期時間 (毫秒)
+    // 這次登入已經逾時 (同時有多個請求逾時只需處理一次)
+    const isExpiredRef = useRef(false);
+
+    // 驗證登入
+    useEffect(() => {
+        // 檢查管理員權限
+        const checkAdmin = async () => {
+            try {
+                const token = getToken();
+
+                if (!token) {
+                    setIsAuth(false);
+                    return;
+                }
+
+                // 驗證 Token 是否有效
+                await checkAdminApi();
+
+                setExpiresAt(getTokenExpired());
+                setIsAuth(true);
+            } catch (error) {
+                notify.error(t('session.tokenInvalid', { message: getErrorMessage(error) }));
+                setIsAuth(false);
+            } finally {
+                setIsCheckingAuth(false);
+            }
+        };
+        withLoading(checkAdmin);
+    }, [withLoading]);
+
+    // 登入 (remember: 保留登入狀態並記住信箱，silent: 錯誤由呼叫端自行顯示)
+    const login = useCallback(async (account, remember = true, { silent = false } = {}) => {
+        const res = await loginApi(account, { silent });
+
+        // token - 儲存 Token 到 Cookie
+        const { token, expired } = res.data;
+        setToken(token, expired, remember, account.username);
+        setRememberedEmail(remember ? account.username : '');
+
+        setExpiresAt(expired);
+        setIsAuth(true);
+    }, []);
+
+    // 登出 (不論 API 成功與否都清除 token)
+    const logout = useCallback(async () => {
+        setUnauthorizedHandler(null);
+        try {
+            await logoutApi();
+        } finally {
+            removeToken();
+            setExpiresAt(null);
+            setIsAuth(false);
+        }
+    }, []);
+
+    // 登入逾時：清除 Token 回到登入頁 (ProtectedRoute 會記住目前位置，重新登入後回來)
+    const expireSession = useCallback(() => {
+        if (isExpiredRef.current) return;
+        isExpiredRef.current = true;
+
+        removeToken();
+        setExpiresAt(null);
+        setIsAuth(false);
+        notify.info(t('session.expired'));
+    }, []);
+
+    // 登入期間任何 API 回傳 401 都視為逾時
+    // 逾時後不移除，讓還在進行中的請求回傳 401 時不再跳出錯誤通知 (登出時才移除)
+    useEffect(() => {
+        if (!isAuth) return;
+
+        isExpiredRef.current = false;
+        setUnauthorizedHandler(expireSession);
+    }, [isAuth, expireSession]);
+
+    useEffect(() => () => setUnauthorizedHandler(null), []);
+
+    const value = useMemo(
+        () => ({
+            isAuth,
+            isCheckingAuth,
+            expiresAt,
+            login,
+            logout,
+            expireSession,
+        }),
+        [isAuth, isCheckingAuth, expiresAt, login, logout, expireSession]
+    );
+
+    return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
@@ -0,0 +1,6 @@
+import { createContext, useContext } from 'react';
+
+export const LoadingContext = createContext(null);
+
+// 全域 Loading 狀態
+export const useLoading = () => useContext(LoadingContext);
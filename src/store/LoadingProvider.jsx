@@ -0,0 +1,43 @@
+import { useState, useCallback, useMemo } from 'react';
+
+import { LoadingContext } from './LoadingContext';
+
+// 以計數的方式管理 Loading，同時有多個請求時要全部結束才會關閉
+const LoadingProvider = ({ children }) => {
+    const [loadingCount, setLoadingCount] = useState(0);
+
+    const startLoading = useCallback(() => {
+        setLoadingCount((prev) => prev + 1);
+    }, []);
+
+    const stopLoading = useCallback(() => {
+        setLoadingCount((prev) => Math.max(prev - 1, 0));
+    }, []);
+
+    // 包裝非同步函式，執行期間顯示 Loading
+    const withLoading = useCallback(
+        async (task) => {
+            startLoading();
+            try {
+                return await task();
+            } finally {
+                stopLoading();
+            }
+        },
+        [startLoading, stopLoading]
+    );
+
+    const value = useMemo(
+        () => ({
+            isLoading: loadingCount > 0,
+            startLoading,
+            stopLoading,
+            withLoading,
+        }),
+        [loadingCount, startLoading, stopLoading, withLoading]
+    );
+
+    return <LoadingContext.Provider value={value}>{children}</LoadingContext.Provider>;
+};
+
+export default LoadingProvider;
@@ -0,0 +1,6 @@
+import { createContext, useContext } from 'react';
+
+export const ProductsContext = createContext(null);
+
+// 產品列表
+export const useProducts = () => useContext(ProductsContext);
@@ -0,0 +1,350 @@
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+
+import { ProductsContext } from './ProductsContext';
+
+// Utils
+import {
+    needsClientQuery,
+    filterProducts,
+    sortProducts,
+    paginate,
+    recordProductHistory,
+    moveToTrash,
+    removeFromTrash,
+    notify,
+    UNDO_DELETE_DELAY,
+} from '../utils';
+
+// i18n
+import { t } from '../i18n';
+
+// Store
+import { useAuth } from './AuthContext';
+import { useLoading } from './LoadingContext';
+
+// API
+import { getAllProductsApi, updateProductApi, deleteProductApi } from '../api/products';
+import {
+    getCachedProductsPage,
+    isProductsPageStale,
+    fetchProductsPage,
+    prefetchProductsPage,
+    invalidateProductPages,
+    clearProductsCache,
+} from '../api/productsCache';
+
+// 預設查詢條件
+const initialQuery = { page: 1, category: '', q: '', status: '', sort: '', order: 'asc' };
+
+// 有下一頁時預先載入
+const prefetchNextPage = (pagination, category) => {
+    if (pagination?.has_next) {
+        prefetchProductsPage(pagination.current_page + 1, category);
+    }
+};
+
+// 產品列表快取 (目前頁面的產品與分頁資訊)
+const ProductsProvider = ({ children }) => {
+    const { isAuth } = useAuth();
+    const { withLoading } = useLoading();
+    const [products, setProducts] = useState([]);
+    const [pagination, setPagination] = useState({});
+    const [categories, setCategories] = useState([]);
+    // 顯示快取資料並在背景重新取得中
+    const [isRefreshing, setIsRefreshing] = useState(false);
+    // 正在更新中的產品 id (同一筆產品的請求會依序送出)
+    const [pendingIds, setPendingIds] = useState([]);
+    // 產品資料變動時遞增，讓需要全部產品的元件 (例如總覽面板) 知道要重新取得
+    const [catalogVersion, setCatalogVersion] = useState(0);
+    // 最後一筆更新成功的產品，讓總覽面板直接替換該筆資料，不必重新取得全部產品
+    const [lastUpdatedProduct, setLastUpdatedProduct] = useState(null);
+
+    // 記錄最後一次查詢的條件，讓重新整理時不用再傳入
+    const lastQueryRef = useRef(initialQuery);
+    // 目前列表請求的 AbortController，新的查詢會取消前一個，避免舊的回應蓋掉新頁面
+    const listControllerRef = useRef(null);
+    // 更新中的請求：id → { promise, product: 送出的資料, base: 佇列開始前的資料 }
+    const pendingUpdatesRef = useRef(new Map());
+    // 已從畫面移除、等待送出刪除的產品：id → { product, timer }
+    const pendingDeletesRef = useRef(new Map());
+
+    // 等待刪除的產品不顯示 (快取或 API 回傳的資料可能還包含它們)
+    const withoutPendingDeletes = (items) => items.filter((product) => !pendingDeletesRef.current.has(product.id));
+
+    // 取得產品
+    // 只有頁碼與分類時交給 API 分頁，有關鍵字、狀態或排序時改抓全部產品在前端處理
+    // API 分頁有快取時先顯示快取，再於背景更新；沒有快取才顯示全頁 Loading
+    const getProducts = useCallback(
+        async (query = {}) => {
+            const currentQuery = { ...initialQuery, ...query };
+            lastQueryRef.current = currentQuery;
+
+            listControllerRef.current?.abort();
+            const controller = new AbortController();
+            listControllerRef.current = controller;
+            const { signal } = controller;
+
+            try {
+                if (!needsClientQuery(currentQuery)) {
+                    const { page, category } = currentQuery;
+                    const cached = getCachedProductsPage(page, category);
+
+                    if (cached) {
+                        setProducts(withoutPendingDeletes(cached.data.products));
+                        setPagination(cached.data.pagination);
+
+                        if (!isProductsPageStale(cached)) {
+                            prefetchNextPage(cached.data.pagination, category);
+                            return;
+                        }
+                        setIsRefreshing(true);
+                    }
+
+                    const load = () => fetchProductsPage(page, category, { signal });
+                    const data = cached ? await load() : await withLoading(load);
+                    if (signal.aborted) return;
+
+                    setProducts(withoutPendingDeletes(data.products));
+                    setPagination(data.pagination);
+                    prefetchNextPage(data.pagination, category);
+                    return;
+                }
+
+                const res = await withLoading(() => getAllProductsApi({ signal }));
+                if (signal.aborted) return;
+
+                const filtered = filterProducts(withoutPendingDeletes(Object.values(res.data.products)), currentQuery);
+                const sorted = sortProducts(filtered, currentQuery.sort, currentQuery.order);
+                const { items, pagination } = paginate(sorted, currentQuery.page);
+
+                setProducts(items);
+                setPagination({ ...pagination, category: currentQuery.category });
+            } catch {
+                // 錯誤訊息已由 API 攔截器通知 (取消的請求不會通知)
+            } finally {
+                if (listControllerRef.current === controller) {
+                    listControllerRef.current = null;
+                    setIsRefreshing(false);
+                }
+            }
+        },
+        [withLoading]
+    );
+
+    // 取得目前使用中的分類 (篩選選單用)
+    const getCategories = useCallback(async () => {
+        try {
+            const res = await getAllProductsApi();
+            const usedCategories = Object.values(res.data.products)
+                .map((product) => product.category)
+                .filter(Boolean);
+            setCategories([...new Set(usedCategories)].sort((a, b) => a.localeCompare(b)));
+        } catch {
+            // 錯誤訊息已由 API 攔截器通知
+        }
+    }, []);
+
+    // 標記產品資料已變動
+    const invalidateCatalog = useCallback(() => setCatalogVersion((prev) => prev + 1), []);
+
+    // 樂觀更新：先更新畫面再送出請求，失敗時還原變更的欄位並拋出錯誤
+    // 同一筆產品還在更新中時忽略，回傳 null；queue 為 true 時改為排在前一個請求之後送出 (例如表格行內編輯)，
+    // 並以前一個請求的資料為基礎，避免後送出的請求蓋掉前面的變更
+    const updateProductOptimistic = useCallback(
+        async (id, changes, { queue = false } = {}) => {
+            const inFlight = pendingUpdatesRef.current.get(id);
+            if (inFlight && !queue) return null;
+
+            const target = inFlight?.product ?? products.find((product) => product.id === id);
+            if (!target) return null;
+
+            const updated = { ...target, ...changes };
+            // 前一個請求失敗時，這次的變更也不送出，欄位還原到佇列開始前的值
+            const base = inFlight?.base ?? target;
+            let isSent = false;
+
+            const applyChanges = (values) =>
+                setProducts((prev) => prev.map((item) => (item.id === id ? { ...item, ...values } : item)));
+
+            const request = (inFlight?.promise ?? Promise.resolve()).then(() => {
+                isSent = true;
+                return updateProductApi(id, { data: updated });
+            });
+            const entry = { promise: request, product: updated, base };
+
+            pendingUpdatesRef.current.set(id, entry);
+            setPendingIds([...pendingUpdatesRef.current.keys()]);
+            applyChanges(changes);
+
+            try {
+                const res = await request;
+                invalidateProductPages({ type: 'update', product: updated, previous: target });
+                // 只切換啟用狀態時記為 status
+                const action = Object.keys(changes).every((field) => field === 'is_enabled') ? 'status' : 'update';
+                recordProductHistory(action, { before: target, after: updated });
+                setLastUpdatedProduct(updated);
+                return res;
+            } catch (error) {
+                const restoreFrom = isSent ? target : base;
+                applyChanges(Object.fromEntries(Object.keys(changes).map((field) => [field, restoreFrom[field]])));
+                throw error;
+            } finally {
+                if (pendingUpdatesRef.current.get(id) === entry) {
+                    pendingUpdatesRef.current.delete(id);
+                    setPendingIds([...pendingUpdatesRef.current.keys()]);
+                }
+            }
+        },
+        [products]
+    );
+
+    // 產品異動後以最後一次的查詢條件重新取得產品 (分類可能也有變動，一併更新)
+    // change 用來判斷哪些快取分頁受到影響，參考 invalidateProductPages
+    const refreshProducts = useCallback(
+        (change) => {
+            invalidateProductPages(change);
+            invalidateCatalog();
+            return Promise.all([getProducts(lastQueryRef.current), getCategories()]);
+        },
+        [getProducts, getCategories, invalidateCatalog]
+    );
+
+    // 先移到垃圾桶再送出等待中的刪除，任一步驟失敗時產品會重新出現在列表
+    // refresh 為 false 時不重新取得列表 (例如登出前)
+    const commitDelete = useCallback(
+        async (id, { refresh = true } = {}) => {
+            const pending = pendingDeletesRef.current.get(id);
+            if (!pending) return;
+
+            const { product, timer } = pending;
+            clearTimeout(timer);
+            pendingDeletesRef.current.delete(id);
+
+            // 垃圾桶寫入失敗時不送出刪除，避免產品刪除後無法還原
+            try {
+                await moveToTrash(product);
+            } catch (error) {
+                notify.error(error.message);
+                if (refresh) await getProducts(lastQueryRef.current);
+                return;
+            }
+
+            try {
+                await deleteProductApi(product.id);
+                recordProductHistory('delete', { before: product });
+                if (refresh) await refreshProducts({ type: 'delete', product });
+            } catch {
+                // 錯誤訊息已由 API 攔截器通知，刪除失敗的產品不留在垃圾桶
+                removeFromTrash(product.id).catch(() => {});
+                if (refresh) await getProducts(lastQueryRef.current);
+            }
+        },
+        [refreshProducts, getProducts]
+    );
+
+    // 刪除產品：先從畫面移除並顯示可復原的通知，一段時間後才真正送出刪除
+    const deleteProductWithUndo = useCallback(
+        (product) => {
+            if (pendingDeletesRef.current.has(product.id)) return;
+
+            const timer = setTimeout(() => commitDelete(product.id), UNDO_DELETE_DELAY);
+            pendingDeletesRef.current.set(product.id, { product, timer });
+            setProducts((prev) => prev.filter((item) => item.id !== product.id));
+
+            const undo = () => {
+                if (!pendingDeletesRef.current.has(product.id)) {
+                    notify.info(t('trash.undoExpired'));
+                    return;
+                }
+                clearTimeout(timer);
+                pendingDeletesRef.current.delete(product.id);
+                notify.success(t('trash.undone', { title: product.title }));
+                getProducts(lastQueryRef.current);
+            };
+
+            notify.info(t('trash.deleted', { title: product.title }), {
+                duration: UNDO_DELETE_DELAY,
+                action: { label: t('trash.undo'), onClick: undo },
+            });
+        },
+        [commitDelete, getProducts]
+    );
+
+    // 立即送出所有等待中的刪除 (登出前使用)
+    const flushPendingDeletes = useCallback(
+        () => Promise.all([...pendingDeletesRef.current.keys()].map((id) => commitDelete(id, { refresh: false }))),
+        [commitDelete]
+    );
+
+    // 還有等待中的刪除時，離開頁面前提醒
+    useEffect(() => {
+        const handleBeforeUnload = (e) => {
+            if (pendingDeletesRef.current.size === 0) return;
+            e.preventDefault();
+            e.returnValue = '';
+        };
+
+        window.addEventListener('beforeunload', handleBeforeUnload);
+        return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+    }, []);
+
+    // 清空產品 (登出時使用)
+    const resetProducts = useCallback(() => {
+        listControllerRef.current?.abort();
+        // 還沒送出的刪除直接放棄 (登出後已無法送出)
+        pendingDeletesRef.current.forEach(({ timer }) => clearTimeout(timer));
+        pendingDeletesRef.current.clear();
+        clearProductsCache();
+        lastQueryRef.current = initialQuery;
+        setProducts([]);
+        setPagination({});
+        setCategories([]);
+    }, []);
+
+    // 登出或登入逾時後清空 (避免等待中的刪除在未登入時送出，快取也不會留到下一次登入)
+    useEffect(() => {
+        if (!isAuth) resetProducts();
+    }, [isAuth, resetProducts]);
+
+    const value = useMemo(
+        () => ({
+            products,
+            setProducts,
+            pagination,
+            categories,
+            isRefreshing,
+            catalogVersion,
+            invalidateCatalog,
+            lastUpdatedProduct,
+            pendingIds,
+            updateProductOptimistic,
+            deleteProductWithUndo,
+            flushPendingDeletes,
+            getProducts,
+            refreshProducts,
+            getCategories,
+            resetProducts,
+        }),
+        [
+            products,
+            pagination,
+            categories,
+            isRefreshing,
+            catalogVersion,
+            invalidateCatalog,
+            lastUpdatedProduct,
+            pendingIds,
+            updateProductOptimistic,
+            deleteProductWithUndo,
+            flushPendingDeletes,
+            getProducts,
+            refreshProducts,
+            getCategories,
+            resetProducts,
+        ]
+    );
+
+    return <ProductsContext.Provider value={value}>{children}</ProductsContext.Provider>;
+};
+
+export default ProductsProvider;
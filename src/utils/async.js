@@ -0,0 +1,25 @@
+// 限制同時執行數量的批次處理，回傳每一筆的結果 (不會因為單筆失敗而中斷)
+export const runWithConcurrency = async (items, worker, { limit = 3, onProgress } = {}) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let doneCount = 0;
+
+    const runNext = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                const value = await worker(items[index], index);
+                results[index] = { item: items[index], status: 'fulfilled', value };
+            } catch (reason) {
+                results[index] = { item: items[index], status: 'rejected', reason };
+            }
+            doneCount += 1;
+            onProgress?.(doneCount, items.length);
+        }
+    };
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, runNext);
+    await Promise.all(runners);
+
+    return results;
+};
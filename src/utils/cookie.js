@@ -3,10 +3,43 @@ export const getToken = (name = 'hexToken') => {
     return cookie ? cookie.split('=')[1] : null;
 };
 
-export const setToken = (token, expired) => {
-    document.cookie = `hexToken=${token}; expires=${new Date(expired)}; path=/;`;
+// 儲存 Token，remember 為 false 時存成 session cookie (關閉瀏覽器即失效)
+// 到期時間另外存一份，讓畫面可以倒數 (cookie 的 expires 無法從前端讀取)
+// 登入帳號也一併保存，供操作紀錄使用；是否保留登入狀態也記下來，重新登入時沿用
+export const setToken = (token, expired, remember = true, account = '') => {
+    const expires = remember ? ` expires=${new Date(expired)};` : '';
+    document.cookie = `hexToken=${token};${expires} path=/;`;
+    document.cookie = `hexTokenExpired=${expired};${expires} path=/;`;
+    document.cookie = `hexAccount=${encodeURIComponent(account)};${expires} path=/;`;
+    document.cookie = `hexRemember=${remember ? 1 : 0};${expires} path=/;`;
 };
 
 export const removeToken = () => {
     document.cookie = 'hexToken=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;';
+    document.cookie = 'hexTokenExpired=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;';
+    document.cookie = 'hexAccount=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;';
+    document.cookie = 'hexRemember=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;';
+};
+
+// 目前登入的帳號 (信箱)，沒有紀錄時回傳空字串
+export const getCurrentAccount = () => decodeURIComponent(getToken('hexAccount') || '');
+
+// 目前的登入是否保留登入狀態 (登入時勾選記住我)
+export const isTokenRemembered = () => getToken('hexRemember') === '1';
+
+// Token 到期時間 (毫秒)，沒有紀錄時回傳 null
+export const getTokenExpired = () => {
+    const expired = Number(getToken('hexTokenExpired'));
+    return expired || null;
+};
+
+// 記住我：保存登入信箱
+export const getRememberedEmail = () => localStorage.getItem('rememberedEmail') || '';
+
+export const setRememberedEmail = (email) => {
+    if (email) {
+        localStorage.setItem('rememberedEmail', email);
+    } else {
+        localStorage.removeItem('rememberedEmail');
+    }
 };
@@ -0,0 +1,61 @@
+// 將欄位值轉成 CSV 格式 (含逗號、引號或換行時加上引號)
+const escapeCell = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// 物件陣列轉 CSV 文字
+export const toCSV = (rows, columns) => {
+    const header = columns.map(escapeCell).join(',');
+    const body = rows.map((row) => columns.map((column) => escapeCell(row[column])).join(','));
+    return [header, ...body].join('\r\n');
+};
+
+// CSV 文字轉物件陣列 (第一列為欄位名稱)
+export const parseCSV = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    // 去除 Excel 匯出時的 BOM
+    const content = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    const [header = [], ...records] = rows.filter((item) => item.some((value) => value.trim() !== ''));
+    const columns = header.map((column) => column.trim());
+
+    return records.map((record) => Object.fromEntries(columns.map((column, index) => [column, record[index] ?? ''])));
+};
@@ -0,0 +1,28 @@
+// 表單草稿 (存在 localStorage，關閉視窗或重新整理後仍可還原)
+const DRAFT_PREFIX = 'productDraft:';
+
+// 草稿的 key：編輯用產品 id，複製用「原產品 id-copy」，新增用 new
+export const getDraftKey = (id) => `${DRAFT_PREFIX}${id || 'new'}`;
+
+// 取得草稿 { data, savedAt }，沒有草稿或格式錯誤時回傳 null
+export const getDraft = (key) => {
+    try {
+        const draft = JSON.parse(localStorage.getItem(key));
+        return draft && draft.data ? draft : null;
+    } catch {
+        return null;
+    }
+};
+
+// 儲存草稿 (空間不足等錯誤時略過，不影響編輯)
+export const saveDraft = (key, data) => {
+    try {
+        localStorage.setItem(key, JSON.stringify({ data, savedAt: Date.now() }));
+    } catch {
+        // 無法寫入時略過
+    }
+};
+
+export const removeDraft = (key) => {
+    localStorage.removeItem(key);
+};
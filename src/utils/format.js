@@ -1,9 +1,63 @@
-// 價格千分位處理
+import { getLocale } from '../i18n';
+
+// 數字千分位 (依目前語系)
 export const formatNumber = (num) => {
     // 安全性檢查：如果 num 是 undefined 或 null，回傳 0 或空字串
-    if (num === undefined || num === null) return '0';
+    if (num === undefined || num === null || num === '') return '0';
+
+    return new Intl.NumberFormat(getLocale(), { maximumFractionDigits: 2 }).format(Number(num));
+};
+
+// 金額 (新台幣，符號統一顯示為 NT$，位置與格式依目前語系)
+export const formatCurrency = (num) => {
+    const parts = new Intl.NumberFormat(getLocale(), {
+        style: 'currency',
+        currency: 'TWD',
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 0,
+    }).formatToParts(Number(num) || 0);
+
+    return parts.map((part) => (part.type === 'currency' ? 'NT$' : part.value)).join('');
+};
+
+// 百分比 (0.15 → 15%)
+export const formatPercent = (ratio) =>
+    new Intl.NumberFormat(getLocale(), { style: 'percent', maximumFractionDigits: 1 }).format(Number(ratio) || 0);
+
+// 時間戳記 (秒) 轉日期字串 (依目前語系)
+export const formatDate = (timestamp, withTime = false) => {
+    if (!timestamp) return '-';
+
+    const options = { year: 'numeric', month: '2-digit', day: '2-digit' };
+    if (withTime) {
+        Object.assign(options, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    }
+    return new Intl.DateTimeFormat(getLocale(), options).format(new Date(timestamp * 1000));
+};
+
+// 時間戳記 (秒) 轉 date input 的值 (YYYY-MM-DD)
+export const toDateInputValue = (timestamp) => {
+    if (!timestamp) return '';
+
+    const date = new Date(timestamp * 1000);
+    const pad = (value) => value.toString().padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// date input 的值轉時間戳記 (秒)，以當天 23:59:59 作為到期時間
+export const toTimestamp = (dateValue) => {
+    if (!dateValue) return '';
+
+    const [year, month, day] = dateValue.split('-').map(Number);
+    return Math.floor(new Date(year, month - 1, day, 23, 59, 59).getTime() / 1000);
+};
+
+// 是否已過期
+export const isExpired = (timestamp) => !!timestamp && timestamp * 1000 < Date.now();
 
-    let parts = num.toString().split('.'); // 分割整數和小數部分
-    parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ','); // 格式化整數部分
-    return parts.length > 1 ? parts.join('.') : parts[0]; // 拼接小數部分
+// 檔案大小 (bytes) 轉可讀字串
+export const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 };
@@ -0,0 +1,33 @@
+// 模糊搜尋 (指令面板使用)
+
+// 計算相符程度：query 的字元依序出現在 text 中即算符合，不符合時回傳 -1
+// 連續符合、出現在字首或整段包含時加分，分數越高越前面
+export const fuzzyScore = (query, text) => {
+    const keyword = query.toLowerCase().replace(/\s+/g, '');
+    const target = String(text ?? '').toLowerCase();
+    if (!keyword) return 0;
+
+    let score = target.includes(keyword) ? 10 : 0;
+    let lastIndex = -1;
+    let streak = 0;
+
+    for (const char of keyword) {
+        const index = target.indexOf(char, lastIndex + 1);
+        if (index === -1) return -1;
+
+        streak = index === lastIndex + 1 ? streak + 1 : 0;
+        const isWordStart = index === 0 || /[\s\-_/()]/.test(target[index - 1]);
+        score += 1 + streak * 2 + (isWordStart ? 3 : 0);
+        lastIndex = index;
+    }
+
+    return score;
+};
+
+// 依相符程度排序並過濾 (getText 回傳要比對的文字)
+export const fuzzyFilter = (items, query, getText) =>
+    items
+        .map((item) => ({ item, score: fuzzyScore(query, getText(item)) }))
+        .filter(({ score }) => score >= 0)
+        .sort((a, b) => b.score - a.score)
+        .map(({ item }) => item);
@@ -0,0 +1,42 @@
+import { idbPut, idbGetAll } from './idb';
+import { getCurrentAccount } from './cookie';
+import { pickProductFields, getChangedFields } from './product';
+
+// 產品異動紀錄 (存在瀏覽器的 IndexedDB)
+const STORE_NAME = 'productHistory';
+
+// 紀錄類型：新增、更新、刪除、切換啟用狀態
+export const HISTORY_ACTIONS = ['add', 'update', 'delete', 'status'];
+
+// 新增一筆紀錄，before / after 為異動前後的產品 (新增時沒有 before，刪除時沒有 after)
+// 寫入失敗 (例如瀏覽器不支援) 時略過，不影響原本的操作
+export const recordProductHistory = async (action, { before = null, after = null, revertedFrom = null } = {}) => {
+    const productId = after?.id || before?.id || '';
+    if (!productId) return;
+
+    try {
+        await idbPut(STORE_NAME, {
+            productId,
+            action,
+            account: getCurrentAccount(),
+            createdAt: Date.now(),
+            before: before && pickProductFields(before),
+            after: after && pickProductFields(after),
+            revertedFrom,
+        });
+    } catch {
+        // 無法寫入時略過
+    }
+};
+
+// 取得產品的紀錄 (新到舊)
+export const getProductHistory = async (productId) => {
+    const entries = await idbGetAll(STORE_NAME, 'productId', productId);
+    return entries.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+// 紀錄中有變動的欄位
+export const getHistoryChanges = (entry) => {
+    if (!entry.before || !entry.after) return [];
+    return getChangedFields(entry.before, entry.after);
+};
@@ -0,0 +1,69 @@
+// IndexedDB 簡易封裝 (資料量較大、需要依欄位查詢的本機資料使用)
+const DB_NAME = 'hexAdmin';
+const DB_VERSION = 2;
+
+// 資料表設定：{ 名稱: { keyPath, autoIncrement, indexes: [欄位] } }
+const STORES = {
+    productHistory: { keyPath: 'id', autoIncrement: true, indexes: ['productId'] },
+    trash: { keyPath: 'id' },
+};
+
+let dbPromise = null;
+
+// IDBRequest 轉 Promise
+const toPromise = (request) =>
+    new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+// 開啟資料庫 (第一次使用或版本更新時建立缺少的資料表)
+const openDatabase = () => {
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.entries(STORES).forEach(([name, { keyPath, autoIncrement, indexes = [] }]) => {
+                if (db.objectStoreNames.contains(name)) return;
+
+                const store = db.createObjectStore(name, { keyPath, autoIncrement });
+                indexes.forEach((field) => store.createIndex(field, field));
+            });
+        };
+
+        dbPromise = toPromise(request).catch((error) => {
+            // 開啟失敗時下次再重試
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+};
+
+// 在交易中執行，callback 回傳的 request 結果會在交易完成後回傳
+const withStore = async (storeName, mode, callback) => {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, mode);
+    const done = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+
+    const [result] = await Promise.all([toPromise(callback(transaction.objectStore(storeName))), done]);
+    return result;
+};
+
+// 新增或更新一筆，回傳 key
+export const idbPut = (storeName, value) => withStore(storeName, 'readwrite', (store) => store.put(value));
+
+// 取得全部資料 (有 indexName 時只取符合 query 的資料)
+export const idbGetAll = (storeName, indexName, query) =>
+    withStore(storeName, 'readonly', (store) => (indexName ? store.index(indexName) : store).getAll(query));
+
+export const idbGet = (storeName, key) => withStore(storeName, 'readonly', (store) => store.get(key));
+
+export const idbDelete = (storeName, key) => withStore(storeName, 'readwrite', (store) => store.delete(key));
+
+export const idbClear = (storeName) => withStore(storeName, 'readwrite', (store) => store.clear());
@@ -0,0 +1,64 @@
+import { t } from '../i18n';
+
+// 上傳圖片的限制 (API 只接受 jpg、png，單檔 3MB 以內)
+export const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+export const MAX_UPLOAD_SIZE = 3 * 1024 * 1024;
+export const MAX_IMAGE_DIMENSION = 1920;
+
+// 最多可以有幾張圖片 (主圖 1 張 + 副圖 3 張)
+export const MAX_IMAGES = 4;
+
+// 讀取圖片檔
+const loadImage = (file) =>
+    new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(t('upload.loadFailed')));
+        };
+        image.src = url;
+    });
+
+const canvasToBlob = (canvas, type, quality) =>
+    new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error(t('upload.encodeFailed')))), type, quality);
+    });
+
+// 檢查檔案類型，回傳錯誤訊息 (沒有錯誤時回傳空字串)
+export const checkImageFile = (file) => {
+    if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) return t('upload.invalidType');
+    return '';
+};
+
+// 壓縮圖片：檔案過大或尺寸過大時縮小並重新編碼為 jpg，逐步降低品質直到小於上限
+export const compressImage = async (file, { maxSize = MAX_UPLOAD_SIZE, maxDimension = MAX_IMAGE_DIMENSION } = {}) => {
+    const image = await loadImage(file);
+    const scale = Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+
+    if (file.size <= maxSize && scale === 1) return file;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.naturalWidth * scale);
+    canvas.height = Math.round(image.naturalHeight * scale);
+
+    const context = canvas.getContext('2d');
+    // png 透明背景轉成 jpg 時補白底
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    for (const quality of [0.85, 0.7, 0.55, 0.4]) {
+        const blob = await canvasToBlob(canvas, 'image/jpeg', quality);
+        if (blob.size <= maxSize) {
+            const name = file.name.replace(/\.\w+$/, '') + '.jpg';
+            return new File([blob], name, { type: 'image/jpeg' });
+        }
+    }
+
+    throw new Error(t('upload.tooLarge'));
+};
@@ -1,3 +1,18 @@
 export * from './cookie';
 export * from './error';
 export * from './format';
+export * from './notify';
+export * from './product';
+export * from './async';
+export * from './validation';
+export * from './csv';
+export * from './file';
+export * from './draft';
+export * from './image';
+export * from './theme';
+export * from './markdown';
+export * from './history';
+export * from './trash';
+export * from './template';
+export * from './keyboard';
+export * from './fuzzy';
@@ -0,0 +1,60 @@
+// 鍵盤快捷鍵的共用判斷與說明 (說明清單顯示在「?」快捷鍵說明視窗)
+
+export const isMac = /Mac|iPhone|iPad/.test(navigator.userAgent);
+
+// Ctrl (macOS 為 ⌘)
+export const isModKey = (e) => (isMac ? e.metaKey : e.ctrlKey);
+
+// 焦點是否在可輸入文字的元素上
+export const isTypingTarget = (target) =>
+    target instanceof HTMLElement &&
+    (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+// 是否有開啟中的 Bootstrap Modal
+export const hasOpenModal = () => !!document.querySelector('.modal.show');
+
+// 單鍵快捷鍵 (例如 n、/) 只在沒有輸入文字、沒有開啟視窗、沒有按住 Ctrl / ⌘ / Alt 時觸發
+export const canUsePlainShortcut = (e) =>
+    !e.defaultPrevented && !e.ctrlKey && !e.metaKey && !e.altKey && !isTypingTarget(e.target) && !hasOpenModal();
+
+// 顯示用的按鍵名稱
+export const formatShortcutKey = (key) => (key === 'Mod' ? (isMac ? '⌘' : 'Ctrl') : key);
+
+// 快捷鍵說明：keys 為同時按下的按鍵，alternatives 為其他可用的組合
+export const SHORTCUT_GROUPS = [
+    {
+        titleKey: 'shortcuts.groups.global',
+        items: [
+            { keys: ['Mod', 'K'], labelKey: 'shortcuts.palette' },
+            { keys: ['?'], labelKey: 'shortcuts.help' },
+            { keys: ['['], labelKey: 'shortcuts.prevPage' },
+            { keys: [']'], labelKey: 'shortcuts.nextPage' },
+        ],
+    },
+    {
+        titleKey: 'shortcuts.groups.products',
+        items: [
+            { keys: ['N'], labelKey: 'shortcuts.newProduct' },
+            { keys: ['/'], labelKey: 'shortcuts.focusSearch' },
+            { keys: ['Enter'], labelKey: 'shortcuts.editCell' },
+            { keys: ['Tab'], alternatives: [['Enter']], labelKey: 'shortcuts.saveCell' },
+            { keys: ['Esc'], labelKey: 'shortcuts.cancelCell' },
+        ],
+    },
+    {
+        titleKey: 'shortcuts.groups.modal',
+        items: [
+            { keys: ['Mod', 'S'], labelKey: 'shortcuts.saveModal' },
+            { keys: ['Esc'], labelKey: 'shortcuts.closeModal' },
+        ],
+    },
+    {
+        titleKey: 'shortcuts.groups.palette',
+        items: [
+            { keys: ['↑'], alternatives: [['↓']], labelKey: 'shortcuts.paletteMove' },
+            { keys: ['Enter'], labelKey: 'shortcuts.paletteRun' },
+            { keys: ['Shift', 'Enter'], labelKey: 'shortcuts.paletteEdit' },
+            { keys: ['Mod', 'Delete'], labelKey: 'shortcuts.paletteDelete' },
+        ],
+    },
+];
@@ -0,0 +1,19 @@
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+
+// breaks: 單一換行也會換行，讓原本的純文字描述維持原樣顯示
+marked.setOptions({ gfm: true, breaks: true });
+
+// 外部連結另開分頁
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+    if (node.tagName === 'A' && node.getAttribute('href')) {
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener noreferrer');
+    }
+});
+
+// Markdown 轉成已過濾的 HTML (可直接給 dangerouslySetInnerHTML 使用)
+export const renderMarkdown = (text) => {
+    if (!text) return '';
+    return DOMPurify.sanitize(marked.parse(String(text)), { ADD_ATTR: ['target'] });
+};
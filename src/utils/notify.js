@@ -0,0 +1,53 @@
+// 通知 (Toast) 的狀態放在模組內，讓元件以外的地方 (例如 API 攔截器) 也能推送通知
+
+const DEFAULT_DURATION = 4000;
+
+let toasts = [];
+let nextId = 1;
+const listeners = new Set();
+
+const emitChange = () => {
+    listeners.forEach((listener) => listener());
+};
+
+// 訂閱通知變化 (給 useSyncExternalStore 使用)
+export const subscribeToasts = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// 取得目前的通知
+export const getToasts = () => toasts;
+
+// 關閉通知
+export const dismissToast = (id) => {
+    toasts = toasts.filter((toast) => toast.id !== id);
+    emitChange();
+};
+
+// 新增通知，相同類型與內容的通知只會保留一則並累加次數
+// action: { label, onClick } 在通知上顯示操作按鈕 (例如「復原」)，帶有操作的通知不會合併
+const pushToast = (type, message, { duration = DEFAULT_DURATION, action = null } = {}) => {
+    const existing =
+        !action && toasts.find((toast) => !toast.action && toast.type === type && toast.message === message);
+
+    if (existing) {
+        toasts = toasts.map((toast) =>
+            toast.id === existing.id ? { ...toast, count: toast.count + 1, updatedAt: Date.now() } : toast
+        );
+        emitChange();
+        return existing.id;
+    }
+
+    const toast = { id: nextId++, type, message, duration, action, count: 1, updatedAt: Date.now() };
+    toasts = [...toasts, toast];
+    emitChange();
+    return toast.id;
+};
+
+export const notify = {
+    success: (message, options) => pushToast('success', message, options),
+    error: (message, options) => pushToast('error', message, options),
+    info: (message, options) => pushToast('info', message, options),
+    dismiss: dismissToast,
+};
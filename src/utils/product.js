@@ -0,0 +1,164 @@
+import { t } from '../i18n';
+
+// 產品初始資料
+export const initialProduct = {
+    id: '',
+    title: '',
+    category: '',
+    origin_price: 0,
+    price: 0,
+    unit: '',
+    ticket_quantity: 0,
+    description: '',
+    content: '',
+    is_enabled: 0,
+    imageUrl: '',
+    imagesUrl: [],
+};
+
+// 產品欄位 (匯入匯出的欄位順序)
+export const PRODUCT_FIELDS = Object.keys(initialProduct);
+
+// 後台產品列表每頁筆數 (與 API 相同)
+export const PRODUCTS_PER_PAGE = 10;
+
+// 可排序的欄位
+export const SORTABLE_FIELDS = ['origin_price', 'price', 'ticket_quantity'];
+
+// 是否需要在前端處理篩選 (API 只支援 category)
+export const needsClientQuery = ({ q, status, sort }) => !!(q || status || sort);
+
+// 篩選產品：關鍵字 (名稱、描述)、分類、啟用狀態
+export const filterProducts = (products, { q = '', category = '', status = '' }) => {
+    const keyword = q.trim().toLowerCase();
+
+    return products.filter((product) => {
+        if (category && product.category !== category) return false;
+        if (status === 'enabled' && product.is_enabled !== 1) return false;
+        if (status === 'disabled' && product.is_enabled === 1) return false;
+        if (!keyword) return true;
+
+        return [product.title, product.description].some((text) => text?.toLowerCase().includes(keyword));
+    });
+};
+
+// 排序產品
+export const sortProducts = (products, sort, order = 'asc') => {
+    if (!SORTABLE_FIELDS.includes(sort)) return products;
+
+    const direction = order === 'desc' ? -1 : 1;
+    return [...products].sort((a, b) => (Number(a[sort]) - Number(b[sort])) * direction);
+};
+
+// 前端分頁，回傳與 API 相同格式的 pagination
+export const paginate = (items, page = 1, perPage = PRODUCTS_PER_PAGE) => {
+    const totalPages = Math.max(Math.ceil(items.length / perPage), 1);
+    const currentPage = Math.min(Math.max(page, 1), totalPages);
+
+    return {
+        items: items.slice((currentPage - 1) * perPage, currentPage * perPage),
+        pagination: {
+            total_pages: totalPages,
+            current_page: currentPage,
+            has_pre: currentPage > 1,
+            has_next: currentPage < totalPages,
+        },
+    };
+};
+
+// 只保留產品欄位 (匯出用)
+export const pickProductFields = (product) =>
+    Object.fromEntries(PRODUCT_FIELDS.map((field) => [field, product[field] ?? initialProduct[field]]));
+
+// 複製產品當作新增的初始資料：清除 id、標題加上複本標記，並預設為停用
+export const duplicateProduct = (product) => ({
+    ...pickProductFields(product),
+    id: '',
+    title: t('productList.copyTitle', { title: product.title }),
+    is_enabled: 0,
+});
+
+// 將匯入或表單的資料整理成 API 需要的格式
+export const normalizeProduct = (raw) => {
+    const toNumber = (value) => (value === '' || value === undefined || value === null ? '' : Number(value));
+    const toEnabled = (value) =>
+        ['1', 'true', 'yes', '是', '啟用'].includes(String(value).trim().toLowerCase()) ? 1 : 0;
+    const toImages = (value) => {
+        if (Array.isArray(value)) return value.filter(Boolean);
+        return String(value || '')
+            .split('|')
+            .map((url) => url.trim())
+            .filter(Boolean);
+    };
+
+    return {
+        ...initialProduct,
+        ...raw,
+        id: String(raw.id || '').trim(),
+        title: String(raw.title || '').trim(),
+        category: String(raw.category || '').trim(),
+        unit: String(raw.unit || '').trim(),
+        origin_price: toNumber(raw.origin_price),
+        price: toNumber(raw.price),
+        ticket_quantity: toNumber(raw.ticket_quantity),
+        is_enabled: toEnabled(raw.is_enabled),
+        imageUrl: String(raw.imageUrl || '').trim(),
+        imagesUrl: toImages(raw.imagesUrl),
+    };
+};
+
+// 比對兩筆產品有差異的欄位 (不含 id)
+export const getChangedFields = (before, after) =>
+    PRODUCT_FIELDS.filter((field) => field !== 'id').filter((field) => {
+        const toText = (value) => (Array.isArray(value) ? value.join('|') : String(value ?? ''));
+        return toText(before[field]) !== toText(after[field]);
+    });
+
+// 低庫存門檻預設值
+export const DEFAULT_LOW_STOCK_THRESHOLD = 10;
+
+// 整理全部產品的統計資料 (總覽面板用)
+export const getCatalogInsights = (products, lowStockThreshold = DEFAULT_LOW_STOCK_THRESHOLD) => {
+    const toNumber = (value) => Number(value) || 0;
+    const categories = {};
+    let enabled = 0;
+    let totalTickets = 0;
+    let inventoryValue = 0;
+    let discountSum = 0;
+    let discountCount = 0;
+
+    products.forEach((product) => {
+        const tickets = toNumber(product.ticket_quantity);
+        const price = toNumber(product.price);
+        const originPrice = toNumber(product.origin_price);
+        const name = product.category || '';
+
+        if (product.is_enabled === 1) enabled += 1;
+        totalTickets += tickets;
+        inventoryValue += tickets * price;
+
+        // 折扣只計算有原價的產品
+        if (originPrice > 0) {
+            discountSum += Math.max(1 - price / originPrice, 0);
+            discountCount += 1;
+        }
+
+        categories[name] ??= { name, count: 0, tickets: 0, value: 0 };
+        categories[name].count += 1;
+        categories[name].tickets += tickets;
+        categories[name].value += tickets * price;
+    });
+
+    return {
+        total: products.length,
+        enabled,
+        disabled: products.length - enabled,
+        totalTickets,
+        inventoryValue,
+        averageDiscount: discountCount > 0 ? discountSum / discountCount : 0,
+        categories: Object.values(categories).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+        lowStock: products
+            .filter((product) => toNumber(product.ticket_quantity) < lowStockThreshold)
+            .sort((a, b) => toNumber(a.ticket_quantity) - toNumber(b.ticket_quantity)),
+    };
+};
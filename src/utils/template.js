@@ -0,0 +1,53 @@
+import { pickProductFields } from './product';
+
+// 產品範本 (存在 localStorage)，新增產品時可以從範本開始填寫
+// 狀態放在模組內，儲存範本後新增視窗的範本選單會同步更新
+const STORAGE_KEY = 'productTemplates';
+
+const listeners = new Set();
+
+const getSavedTemplates = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch {
+        return [];
+    }
+};
+
+let templates = getSavedTemplates();
+
+// 寫入 localStorage，成功後才更新目前的範本 (空間不足時拋出錯誤)
+const persist = (next) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    templates = next;
+    listeners.forEach((listener) => listener());
+};
+
+export const subscribeProductTemplates = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// 取得全部範本 [{ id, name, data, updatedAt }]，依名稱排序
+export const getProductTemplates = () => templates;
+
+// 將產品存成範本 (不保留 id)，同名的範本會被覆蓋
+export const saveProductTemplate = (name, product) => {
+    const existing = templates.find((template) => template.name === name);
+    const template = {
+        id: existing?.id ?? `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+        name,
+        data: { ...pickProductFields(product), id: '' },
+        updatedAt: Date.now(),
+    };
+
+    persist(
+        [...templates.filter((item) => item.id !== template.id), template].sort((a, b) => a.name.localeCompare(b.name))
+    );
+    return template;
+};
+
+export const removeProductTemplate = (id) => {
+    persist(templates.filter((template) => template.id !== id));
+};
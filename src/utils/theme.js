@@ -0,0 +1,62 @@
+// 佈景主題的狀態放在模組內 (light / dark / system)，套用在 <html data-bs-theme>
+
+export const THEMES = ['light', 'dark', 'system'];
+
+// 各主題對應的圖示
+export const THEME_ICONS = {
+    light: 'light_mode',
+    dark: 'dark_mode',
+    system: 'contrast',
+};
+
+const STORAGE_KEY = 'theme';
+const DEFAULT_THEME = 'system';
+
+const listeners = new Set();
+const darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+const getSavedTheme = () => {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return THEMES.includes(saved) ? saved : DEFAULT_THEME;
+};
+
+let currentTheme = getSavedTheme();
+
+// 實際套用的主題 (system 時依作業系統設定)
+export const getResolvedTheme = () => {
+    if (currentTheme !== 'system') return currentTheme;
+    return darkQuery.matches ? 'dark' : 'light';
+};
+
+const applyTheme = () => {
+    document.documentElement.setAttribute('data-bs-theme', getResolvedTheme());
+};
+
+const emitChange = () => {
+    applyTheme();
+    listeners.forEach((listener) => listener());
+};
+
+// 選擇 system 時跟著作業系統切換
+darkQuery.addEventListener('change', () => {
+    if (currentTheme === 'system') emitChange();
+});
+
+applyTheme();
+
+export const getTheme = () => currentTheme;
+
+// 切換主題並記住選擇
+export const setTheme = (theme) => {
+    if (!THEMES.includes(theme) || theme === currentTheme) return;
+
+    currentTheme = theme;
+    localStorage.setItem(STORAGE_KEY, theme);
+    emitChange();
+};
+
+// 訂閱主題變化 (給 useSyncExternalStore 使用)
+export const subscribeTheme = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
@@ -0,0 +1,35 @@
+import { idbPut, idbGetAll, idbDelete, idbClear } from './idb';
+import { getCurrentAccount } from './cookie';
+import { t } from '../i18n';
+
+// 垃圾桶：已刪除產品的完整資料 (存在瀏覽器的 IndexedDB)，還原時會重新新增一筆產品
+const STORE_NAME = 'trash';
+
+// 刪除後保留復原機會的時間 (毫秒)，時間到才真正送出刪除
+export const UNDO_DELETE_DELAY = 6000;
+
+// 移到垃圾桶 (在送出刪除前呼叫)，寫入失敗時拋出錯誤，呼叫端應取消刪除，避免產品刪除後無法還原
+export const moveToTrash = async (product) => {
+    try {
+        await idbPut(STORE_NAME, {
+            id: product.id,
+            product: { ...product },
+            account: getCurrentAccount(),
+            deletedAt: Date.now(),
+        });
+    } catch {
+        throw new Error(t('trash.saveFailed'));
+    }
+};
+
+// 取得垃圾桶中的產品 (新到舊)
+export const getTrash = async () => {
+    const entries = await idbGetAll(STORE_NAME);
+    return entries.sort((a, b) => b.deletedAt - a.deletedAt);
+};
+
+// 從垃圾桶移除 (還原後或永久刪除)
+export const removeFromTrash = (id) => idbDelete(STORE_NAME, id);
+
+// 清空垃圾桶
+export const clearTrash = () => idbClear(STORE_NAME);
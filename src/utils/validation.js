@@ -0,0 +1,128 @@
+import { t } from '../i18n';
+
+// 產品欄位的驗證規則 (欄位名稱見 getFieldLabel)
+// required: 必填、type: number / url、integer: 整數、min / max: 數值範圍、
+// maxLength: 字數上限、maxItems: 陣列數量上限、validate: 自訂規則 (回傳錯誤訊息或 true)
+export const productSchema = {
+    title: { required: true, maxLength: 50 },
+    category: { required: true, maxLength: 20 },
+    unit: { required: true, maxLength: 10 },
+    origin_price: { required: true, type: 'number', min: 0, max: 1000000 },
+    price: {
+        required: true,
+        type: 'number',
+        min: 0,
+        max: 1000000,
+        // 原價還沒填或不是數字時先不比較，由原價欄位本身回報錯誤
+        validate: (value, data) =>
+            !isValidNumber(data.origin_price) ||
+            Number(value) <= Number(data.origin_price) ||
+            t('validation.priceAboveOrigin'),
+    },
+    ticket_quantity: { required: true, type: 'number', integer: true, min: 0, max: 100000 },
+    description: { maxLength: 500 },
+    content: { maxLength: 2000 },
+    is_enabled: {},
+    imageUrl: { type: 'url' },
+    imagesUrl: { type: 'url', maxItems: 3 },
+};
+
+// 欄位名稱 (依目前語系)
+export const getFieldLabel = (field) => t(`product.fields.${field}`);
+
+const isEmpty = (value) => value === '' || value === undefined || value === null;
+
+const isValidNumber = (value) =>
+    !isEmpty(value) && !(typeof value === 'string' && !value.trim()) && !Number.isNaN(Number(value));
+
+// 是否為 http / https 網址
+export const isValidUrl = (value) => {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch {
+        return false;
+    }
+};
+
+// 驗證單一值，回傳錯誤訊息 (沒有錯誤時回傳空字串)
+const validateValue = (rule, value) => {
+    if (rule.type === 'number') {
+        const numValue = Number(value);
+        if (Number.isNaN(numValue)) return t('validation.number');
+        if (rule.integer && !Number.isInteger(numValue)) return t('validation.integer');
+        if (rule.min !== undefined && numValue < rule.min) return t('validation.min', { min: rule.min });
+        if (rule.max !== undefined && numValue > rule.max) return t('validation.max', { max: rule.max });
+    }
+    if (rule.type === 'url' && !isValidUrl(value)) return t('validation.url');
+    if (rule.maxLength !== undefined && String(value).length > rule.maxLength) {
+        return t('validation.maxLength', { count: rule.maxLength });
+    }
+    return '';
+};
+
+// 依 schema 驗證資料，回傳 { 欄位: 錯誤訊息 }，沒有錯誤時為空物件
+export const validate = (schema, data) => {
+    const errors = {};
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        const value = data[field];
+
+        if (Array.isArray(value)) {
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                errors[field] = t('validation.maxItems', { count: rule.maxItems });
+                return;
+            }
+            const index = value.findIndex((item) => validateValue(rule, item));
+            if (index !== -1) {
+                errors[field] = t('validation.item', { index: index + 1, message: validateValue(rule, value[index]) });
+            }
+            return;
+        }
+
+        if (isEmpty(value) || (typeof value === 'string' && !value.trim())) {
+            if (rule.required) errors[field] = t('validation.required');
+            return;
+        }
+
+        const message = validateValue(rule, value) || (rule.validate && rule.validate(value, data));
+        if (message && message !== true) {
+            errors[field] = message;
+        }
+    });
+
+    return errors;
+};
+
+// 驗證產品資料
+export const validateProduct = (product) => validate(productSchema, product);
+
+// 驗證單一欄位的修改 (例如表格行內編輯)，回傳錯誤訊息 (沒有錯誤時回傳空字串)
+// 修改後才出錯的其他欄位也一併回報，例如原價改得比售價低
+export const validateProductField = (product, field, value) => {
+    const before = validateProduct(product);
+    const after = validateProduct({ ...product, [field]: value });
+    if (after[field]) return after[field];
+
+    const affected = Object.keys(after).find((key) => !before[key]);
+    return affected ? t('validation.field', { field: getFieldLabel(affected), message: after[affected] }) : '';
+};
+
+// 將 API 回傳的錯誤訊息對應到欄位 (訊息中含有欄位名稱，例如「title 欄位為必填」)
+export const mapServerErrors = (error, schema = productSchema) => {
+    const message = error?.response?.data?.message;
+    const messages = Array.isArray(message) ? message : [message].filter(Boolean);
+
+    // 欄位名稱長的先比對，避免 origin_price 被 price 搶走
+    const fields = Object.keys(schema).sort((a, b) => b.length - a.length);
+    const fieldErrors = {};
+
+    messages.forEach((text) => {
+        const field = fields.find((key) => String(text).includes(key));
+        if (field && !fieldErrors[field]) {
+            fieldErrors[field] = text;
+        }
+    });
+
+    return fieldErrors;
+};
@@ -0,0 +1,230 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router';
+import { Modal } from 'bootstrap';
+
+// Components
+import Pagination from '../components/Pagination';
+import CouponModal from '../components/CouponModal';
+
+// Utils
+import { formatDate, isExpired, notify } from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// Store
+import { useLoading } from '../store/LoadingContext';
+
+// API
+import { getCouponsApi, updateCouponApi } from '../api/coupons';
+
+// 優惠券初始資料 (預設 30 天後的當天結束到期)
+const getInitialCoupon = () => {
+    const dueDate = new Date();
+    dueDate.setDate(dueDate.getDate() + 30);
+    dueDate.setHours(23, 59, 59, 0);
+
+    return {
+        id: '',
+        title: '',
+        code: '',
+        percent: 0,
+        due_date: Math.floor(dueDate.getTime() / 1000),
+        is_enabled: 0,
+    };
+};
+
+// Coupons 元件
+const Coupons = () => {
+    const { withLoading } = useLoading();
+    const { t } = useI18n();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const page = Number(searchParams.get('page')) || 1;
+
+    const [coupons, setCoupons] = useState([]);
+    const [pagination, setPagination] = useState({});
+    const [templateCoupon, setTemplateCoupon] = useState(getInitialCoupon);
+
+    // Modal 相關的 ref
+    const modalRef = useRef(null);
+    const modalInstanceRef = useRef(null);
+
+    const [modalType, setModalType] = useState('');
+
+    // 取得優惠券
+    const getCoupons = useCallback(async (page = 1) => {
+        try {
+            const res = await getCouponsApi(page);
+            setCoupons(res.data.coupons);
+            setPagination(res.data.pagination);
+        } catch {
+            // 錯誤訊息已由 API 攔截器通知
+        }
+    }, []);
+
+    // 網址的頁碼變動時重新取得優惠券
+    useEffect(() => {
+        withLoading(() => getCoupons(page));
+    }, [page, getCoupons, withLoading]);
+
+    // 建立 Modal 實例
+    useEffect(() => {
+        if (!modalRef.current) return;
+        modalInstanceRef.current = new Modal(modalRef.current, {
+            keyboard: false, // 禁止使用 ESC 關閉
+        });
+
+        modalRef.current.addEventListener('hide.bs.modal', () => {
+            if (document.activeElement instanceof HTMLElement) {
+                document.activeElement.blur();
+            }
+        });
+
+        // 清理函式
+        return () => {
+            if (modalInstanceRef.current) {
+                modalInstanceRef.current.dispose();
+            }
+        };
+    }, []);
+
+    // 彈窗開關狀態
+    const openModal = (type, coupon = getInitialCoupon()) => {
+        setModalType(type);
+        setTemplateCoupon({
+            ...getInitialCoupon(),
+            ...coupon,
+        });
+        modalInstanceRef.current.show();
+    };
+    const closeModal = () => {
+        modalInstanceRef.current.hide();
+    };
+
+    // 更新優惠券狀態
+    const updateCouponStatus = async (id) => {
+        try {
+            const target = coupons.find((coupon) => coupon.id === id);
+            const data = {
+                data: {
+                    ...target,
+                    is_enabled: target.is_enabled === 1 ? 0 : 1,
+                },
+            };
+            const res = await updateCouponApi(id, data);
+            notify.success(res.data.message);
+
+            setCoupons((prev) =>
+                prev.map((item) => (item.id === id ? { ...item, is_enabled: data.data.is_enabled } : item))
+            );
+        } catch {
+            // 錯誤訊息已由 API 攔截器通知
+        }
+    };
+
+    return (
+        <>
+            <div className="d-flex justify-content-end mb-4">
+                <button
+                    type="button"
+                    className="btn btn-primary text-white d-flex align-items-center"
+                    onClick={() => {
+                        openModal('add');
+                    }}
+                >
+                    <span className="material-symbols-outlined fs-5">add</span>
+                    {t('coupons.modalTitle.add')}
+                </button>
+            </div>
+            <div className="bg-body shadow-sm rounded-2 p-4">
+                <div className="table-responsive">
+                    <table className="table table-hover align-middle text-center">
+                        <thead>
+                            <tr>
+                                <th scope="col">{t('coupons.fields.title')}</th>
+                                <th scope="col">{t('coupons.fields.code')}</th>
+                                <th scope="col">{t('coupons.fields.percent')}</th>
+                                <th scope="col">{t('coupons.fields.due_date')}</th>
+                                <th scope="col" className="text-center">
+                                    {t('coupons.fields.is_enabled')}
+                                </th>
+                                <th scope="col"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {coupons.length === 0 ? (
+                                <tr>
+                                    <td colSpan="6" className="text-secondary py-4">
+                                        {t('coupons.empty')}
+                                    </td>
+                                </tr>
+                            ) : (
+                                coupons.map((coupon) => {
+                                    const expired = isExpired(coupon.due_date);
+                                    return (
+                                        <tr key={coupon.id} className={expired ? 'coupon-expired' : ''}>
+                                            <td>{coupon.title}</td>
+                                            <td>
+                                                <code>{coupon.code}</code>
+                                            </td>
+                                            <td>{coupon.percent}%</td>
+                                            <td>
+                                                {formatDate(coupon.due_date)}
+                                                {expired && (
+                                                    <span className="badge bg-danger ms-2">{t('coupons.expired')}</span>
+                                                )}
+                                            </td>
+                                            <td className="text-center">
+                                                <div className="form-check form-switch d-flex justify-content-center align-items-center">
+                                                    <input
+                                                        className="form-check-input"
+                                                        type="checkbox"
+                                                        checked={coupon.is_enabled === 1}
+                                                        onChange={() => updateCouponStatus(coupon.id)}
+                                                    />
+                                                </div>
+                                            </td>
+                                            <td className="text-nowrap">
+                                                <button
+                                                    type="button"
+                                                    className="btn btn-sm btn-outline-primary rounded-lg me-2"
+                                                    onClick={() => {
+                                                        openModal('edit', coupon);
+                                                    }}
+                                                >
+                                                    {t('common.edit')}
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    className="btn btn-sm btn-outline-danger rounded-lg"
+                                                    onClick={() => {
+                                                        openModal('delete', coupon);
+                                                    }}
+                                                >
+                                                    {t('common.delete')}
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    );
+                                })
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+
+                <Pagination pagination={pagination} onChangePage={(newPage) => setSearchParams({ page: newPage })} />
+            </div>
+
+            {/* Modal */}
+            <CouponModal
+                modalRef={modalRef}
+                getCoupons={() => getCoupons(page)}
+                templateCoupon={templateCoupon}
+                modalType={modalType}
+                closeModal={closeModal}
+            />
+        </>
+    );
+};
+
+export default Coupons;
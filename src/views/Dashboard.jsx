@@ -1,62 +1,72 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Outlet, useLocation, useNavigate } from 'react-router';
+
 // Components
 import SideBar from '../components/SideBar';
-import Pagination from '../components/Pagination';
+import SessionExpiryWarning from '../components/SessionExpiryWarning';
+import LanguageSwitcher from '../components/LanguageSwitcher';
+import ThemeSwitcher from '../components/ThemeSwitcher';
+import CommandPalette from '../components/CommandPalette';
+import ShortcutsHelp from '../components/ShortcutsHelp';
 
 // Utils
-import { removeToken, getErrorMessage, formatNumber } from '../utils';
+import { notify, isModKey, hasOpenModal, canUsePlainShortcut, formatShortcutKey } from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
 
-// API
-import { logoutApi } from '../api/auth';
-import { updateProductApi } from '../api/products';
+// Store
+import { useAuth } from '../store/AuthContext';
+import { useLoading } from '../store/LoadingContext';
+import { useProducts } from '../store/ProductsContext';
 
 // Dashboard 元件
-const Dashboard = ({
-    products,
-    setProducts,
-    getProducts,
-    pagination,
-    setIsLoading,
-    setIsAuth,
-    openModal,
-}) => {
-    // 登出
-    const handleLogout = async () => {
-        try {
-            setIsLoading(true);
+const Dashboard = () => {
+    const { logout } = useAuth();
+    const { withLoading } = useLoading();
+    const { flushPendingDeletes } = useProducts();
+    const { t } = useI18n();
 
-            await logoutApi();
+    const location = useLocation();
+    const navigate = useNavigate();
 
-            alert('已成功登出！');
-        } catch (error) {
-            alert(`API 錯誤：${getErrorMessage(error)}!`);
-        } finally {
-            // 清除 token
-            removeToken();
+    // 目前所在的頁面 (網址第一層)
+    const currentView = location.pathname.split('/')[1];
 
-            setIsAuth(false);
-            setProducts([]);
-            setIsLoading(false);
-        }
-    };
+    // 開啟中的全域視窗：palette (指令面板) / shortcuts (快捷鍵說明)
+    const [overlay, setOverlay] = useState('');
+    const closeOverlay = useCallback(() => setOverlay(''), []);
 
-    // 更新產品狀態
-    const updateProductStatus = async (id) => {
+    // Ctrl / ⌘ + K 開關指令面板 (其他視窗開啟中時不觸發)，? 開啟快捷鍵說明
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (isModKey(e) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+                if (overlay !== 'palette' && hasOpenModal()) return;
+                e.preventDefault();
+                setOverlay(overlay === 'palette' ? '' : 'palette');
+            } else if (e.key === '?' && canUsePlainShortcut(e)) {
+                e.preventDefault();
+                setOverlay('shortcuts');
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [overlay]);
+
+    // 登出 (先送出還在等待復原的刪除，產品資料由 ProductsProvider 在登出後清空)
+    const handleLogout = async () => {
         try {
-            const target = products.find((product) => product.id === id);
-            const data = {
-                data: {
-                    ...target,
-                    is_enabled: target.is_enabled === 1 ? 0 : 1,
-                },
-            };
-            const res = await updateProductApi(id, data);
-            alert(`${res.data.message}`);
+            await withLoading(async () => {
+                await flushPendingDeletes();
+                await logout();
+            });
 
-            setProducts((prev) =>
-                prev.map((item) => (item.id === id ? { ...item, is_enabled: data.data.is_enabled } : item))
-            );
-        } catch (error) {
-            alert(`API 錯誤：${getErrorMessage(error)}!`);
+            notify.success(t('dashboard.logoutSuccess'));
+        } catch {
+            // 錯誤訊息已由 API 攔截器通知
+        } finally {
+            navigate('/login', { replace: true });
         }
     };
 
@@ -64,111 +74,41 @@ const Dashboard = ({
         <section className="dashboard d-flex">
             <SideBar />
             <div className="content d-flex flex-column flex-grow-1 p-4">
-                <nav className="navbar navbar-expand-lg bg-white shadow-sm rounded-2 mb-4">
+                <nav className="navbar navbar-expand-lg bg-body shadow-sm rounded-2 mb-4">
                     <div className="container-fluid">
                         <ol className="breadcrumb">
-                            <li className="breadcrumb-item">後台</li>
-                            <li className="breadcrumb-item active">旅程管理</li>
+                            <li className="breadcrumb-item">{t('nav.admin')}</li>
+                            <li className="breadcrumb-item active">{t(`nav.${currentView}`)}</li>
                         </ol>
-                        <button type="button" className="btn btn-outline-danger" onClick={handleLogout}>
-                            登出
-                        </button>
+                        <div className="d-flex align-items-center gap-2">
+                            <button
+                                type="button"
+                                className="btn btn-sm btn-outline-secondary d-flex align-items-center"
+                                aria-label={t('palette.title')}
+                                title={t('palette.title')}
+                                onClick={() => setOverlay('palette')}
+                            >
+                                <span className="material-symbols-outlined fs-6 me-1">search</span>
+                                <kbd className="small">{formatShortcutKey('Mod')} K</kbd>
+                            </button>
+                            <ThemeSwitcher />
+                            <LanguageSwitcher />
+                            <button type="button" className="btn btn-outline-danger" onClick={handleLogout}>
+                                {t('dashboard.logout')}
+                            </button>
+                        </div>
                     </div>
                 </nav>
-                <div className="d-flex justify-content-end mb-4">
-                    <button
-                        type="button"
-                        className="btn btn-primary text-white d-flex align-items-center"
-                        onClick={() => {
-                            openModal('add');
-                        }}
-                    >
-                        <span className="material-symbols-outlined fs-5">add</span>
-                        新增商品
-                    </button>
-                </div>
-                <div className="bg-white shadow-sm rounded-2 p-4">
-                    <div className="table-responsive">
-                        <table className="table table-hover align-middle text-center">
-                            <thead>
-                                <tr>
-                                    <th scope="col">景觀</th>
-                                    <th scope="col">分類</th>
-                                    <th scope="col">商品名稱</th>
-                                    <th scope="col">原價</th>
-                                    <th scope="col">售價</th>
-                                    <th scope="col">庫存</th>
-                                    <th scope="col" className="text-center">
-                                        啟用
-                                    </th>
-                                    <th scope="col"></th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                {products.map((product) => {
-                                    return (
-                                        <tr key={product.id}>
-                                            <td>
-                                                <img
-                                                    className="img-thumbnail"
-                                                    src={product.imageUrl}
-                                                    alt={product.title}
-                                                />
-                                            </td>
-                                            <td>{product.category}</td>
-                                            <td>{product.title}</td>
-                                            <td>{formatNumber(product.origin_price)}</td>
-                                            <td>{formatNumber(product.price)}</td>
-                                            <td>{formatNumber(product.ticket_quantity)}</td>
-                                            <td className="text-center">
-                                                <div className="form-check form-switch d-flex justify-content-center align-items-center">
-                                                    <input
-                                                        className="form-check-input"
-                                                        type="checkbox"
-                                                        checked={product.is_enabled === 1}
-                                                        onChange={() => updateProductStatus(product.id)}
-                                                    />
-                                                </div>
-                                            </td>
-                                            <td className="text-nowrap">
-                                                <button
-                                                    type="button"
-                                                    className="btn btn-sm btn-outline-success rounded-lg me-2"
-                                                    onClick={() => {
-                                                        openModal('preview', product);
-                                                    }}
-                                                >
-                                                    預覽
-                                                </button>
-                                                <button
-                                                    type="button"
-                                                    className="btn btn-sm btn-outline-primary rounded-lg me-2"
-                                                    onClick={() => {
-                                                        openModal('edit', product);
-                                                    }}
-                                                >
-                                                    編輯
-                                                </button>
-                                                <button
-                                                    type="button"
-                                                    className="btn btn-sm btn-outline-danger rounded-lg"
-                                                    onClick={() => {
-                                                        openModal('delete', product);
-                                                    }}
-                                                >
-                                                    刪除
-                                                </button>
-                                            </td>
-                                        </tr>
-                                    );
-                                })}
-                            </tbody>
-                        </table>
-                    </div>
-
-                    <Pagination pagination={pagination} onChangePage={getProducts} />
-                </div>
+                <Outlet />
             </div>
+            <SessionExpiryWarning />
+            <CommandPalette
+                isOpen={overlay === 'palette'}
+                onClose={closeOverlay}
+                onLogout={handleLogout}
+                onShowShortcuts={() => setOverlay('shortcuts')}
+            />
+            <ShortcutsHelp isOpen={overlay === 'shortcuts'} onClose={closeOverlay} />
         </section>
     );
 };
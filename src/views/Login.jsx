@@ -1,14 +1,32 @@
 import { useState } from 'react';
+import { Navigate, useLocation } from 'react-router';
+
+// Components
+import LanguageSwitcher from '../components/LanguageSwitcher';
 
 // Utils
-import { setToken, getErrorMessage } from '../utils';
+import { getRememberedEmail } from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
 
-// API
-import { loginApi } from '../api/auth';
+// Store
+import { useAuth } from '../store/AuthContext';
+import { useLoading } from '../store/LoadingContext';
 
 // Login 元件
-const Login = ({ getProducts, setIsLoading, setIsAuth }) => {
-    const [account, setAccount] = useState({ username: '', password: '' });
+const Login = () => {
+    const { isAuth, login } = useAuth();
+    const { withLoading } = useLoading();
+    const { t } = useI18n();
+    const [account, setAccount] = useState(() => ({ username: getRememberedEmail(), password: '' }));
+    const [remember, setRemember] = useState(() => !!getRememberedEmail());
+
+    const location = useLocation();
+
+    // 登入後要回到的位置 (由 ProtectedRoute 導向時帶入)
+    const from = location.state?.from;
+    const redirectTo = from ? `${from.pathname}${from.search}` : '/products';
 
     // 拿到用戶 input 的 value
     const handleInputChange = (e) => {
@@ -20,28 +38,21 @@ const Login = ({ getProducts, setIsLoading, setIsAuth }) => {
     const handleLogin = async (e) => {
         e.preventDefault();
         try {
-            setIsLoading(true);
-
-            const res = await loginApi(account);
-
-            // token - 儲存 Token 到 Cookie
-            const { token, expired } = res.data;
-            setToken(token, expired);
-
-            // 取得產品
-            await getProducts();
-
-            // 登入成功
-            setIsAuth(true);
-        } catch (error) {
-            alert(`${getErrorMessage(error)}!`);
-        } finally {
-            setIsLoading(false);
+            // 登入成功後會導回原本要前往的頁面
+            await withLoading(() => login(account, remember));
+        } catch {
+            // 錯誤訊息已由 API 攔截器通知
         }
     };
 
+    // 已登入就不需要再停留在登入頁
+    if (isAuth) {
+        return <Navigate to={redirectTo} replace />;
+    }
+
     return (
         <section className="login position-fixed w-100 h-100 d-flex justify-content-center align-items-center">
+            <LanguageSwitcher className="login-language position-absolute top-0 end-0 m-4" />
             <div className="container">
                 <div className="login-box blur-layer rounded-4 overflow-hidden shadow mx-auto text-primary">
                     <div className="login-header text-center px-5 py-4 text-white">
@@ -51,14 +62,14 @@ const Login = ({ getProducts, setIsLoading, setIsAuth }) => {
                             </span>
                             Happy Travel
                         </h1>
-                        <p>開始您的旅程管理</p>
+                        <p>{t('login.subtitle')}</p>
                     </div>
                     <div className="login-body p-5">
                         <form className="pb-3" onSubmit={handleLogin}>
                             {/* input 綁定這裡內部的 handleInputChange */}
                             <div className="position-relative mb-3">
                                 <label htmlFor="username" className="form-label">
-                                    電子信箱
+                                    {t('login.email')}
                                 </label>
                                 <input
                                     type="email"
@@ -67,15 +78,15 @@ const Login = ({ getProducts, setIsLoading, setIsAuth }) => {
                                     value={account.username}
                                     onChange={handleInputChange}
                                     id="username"
-                                    placeholder="請輸入 Email"
-                                    autoFocus
+                                    placeholder={t('login.emailPlaceholder')}
+                                    autoFocus={!account.username}
                                     required
                                 />
                                 <span className="material-symbols-outlined">mail</span>
                             </div>
                             <div className="position-relative mb-3">
                                 <label htmlFor="password" className="form-label">
-                                    密碼
+                                    {t('login.password')}
                                 </label>
                                 <input
                                     type="password"
@@ -84,7 +95,8 @@ const Login = ({ getProducts, setIsLoading, setIsAuth }) => {
                                     value={account.password}
                                     onChange={handleInputChange}
                                     id="password"
-                                    placeholder="請輸入密碼"
+                                    placeholder={t('login.passwordPlaceholder')}
+                                    autoFocus={!!account.username}
                                     required
                                 />
                                 <span className="material-symbols-outlined">lock_person</span>
@@ -94,13 +106,16 @@ const Login = ({ getProducts, setIsLoading, setIsAuth }) => {
                                     type="checkBox"
                                     className="form-check-input border border-primary"
                                     id="checkBox"
+                                    checked={remember}
+                                    onChange={(e) => setRemember(e.target.checked)}
                                 />
                                 <label className="form-check-label" htmlFor="checkBox">
-                                    記住我
+                                    {t('login.remember')}
                                 </label>
+                                <div className="form-text">{t('login.rememberHint')}</div>
                             </div>
                             <button type="submit" className="btn btn-primary w-100 text-white fs-5 py-3">
-                                登入
+                                {t('common.login')}
                             </button>
                         </form>
                         {/* <hr />
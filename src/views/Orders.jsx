@@ -0,0 +1,202 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router';
+import { Modal } from 'bootstrap';
+
+// Components
+import Pagination from '../components/Pagination';
+import OrderModal from '../components/OrderModal';
+
+// Utils
+import { formatNumber, formatDate, notify } from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// Store
+import { useLoading } from '../store/LoadingContext';
+
+// API
+import { getOrdersApi, updateOrderApi } from '../api/orders';
+
+// Orders 元件
+const Orders = () => {
+    const { withLoading } = useLoading();
+    const { t } = useI18n();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const page = Number(searchParams.get('page')) || 1;
+
+    const [orders, setOrders] = useState([]);
+    const [pagination, setPagination] = useState({});
+    const [templateOrder, setTemplateOrder] = useState(null);
+
+    // Modal 相關的 ref
+    const modalRef = useRef(null);
+    const modalInstanceRef = useRef(null);
+
+    const [modalType, setModalType] = useState('');
+
+    // 取得訂單
+    const getOrders = useCallback(async (page = 1) => {
+        try {
+            const res = await getOrdersApi(page);
+            setOrders(res.data.orders);
+            setPagination(res.data.pagination);
+        } catch {
+            // 錯誤訊息已由 API 攔截器通知
+        }
+    }, []);
+
+    // 網址的頁碼變動時重新取得訂單
+    useEffect(() => {
+        withLoading(() => getOrders(page));
+    }, [page, getOrders, withLoading]);
+
+    // 建立 Modal 實例
+    useEffect(() => {
+        if (!modalRef.current) return;
+        modalInstanceRef.current = new Modal(modalRef.current);
+
+        modalRef.current.addEventListener('hide.bs.modal', () => {
+            if (document.activeElement instanceof HTMLElement) {
+                document.activeElement.blur();
+            }
+        });
+
+        // 清理函式
+        return () => {
+            if (modalInstanceRef.current) {
+                modalInstanceRef.current.dispose();
+            }
+        };
+    }, []);
+
+    // 彈窗開關狀態
+    const openModal = (type, order = null) => {
+        setModalType(type);
+        setTemplateOrder(order);
+        modalInstanceRef.current.show();
+    };
+    const closeModal = () => {
+        modalInstanceRef.current.hide();
+    };
+
+    // 更新付款狀態
+    const updatePaidStatus = async (id) => {
+        try {
+            const target = orders.find((order) => order.id === id);
+            const data = {
+                data: {
+                    ...target,
+                    is_paid: !target.is_paid,
+                },
+            };
+            const res = await updateOrderApi(id, data);
+            notify.success(res.data.message);
+
+            setOrders((prev) => prev.map((item) => (item.id === id ? { ...item, is_paid: data.data.is_paid } : item)));
+        } catch {
+            // 錯誤訊息已由 API 攔截器通知
+        }
+    };
+
+    return (
+        <>
+            <div className="d-flex justify-content-end mb-4">
+                <button
+                    type="button"
+                    className="btn btn-outline-danger d-flex align-items-center"
+                    disabled={orders.length === 0}
+                    onClick={() => {
+                        openModal('deleteAll');
+                    }}
+                >
+                    <span className="material-symbols-outlined fs-5">delete_sweep</span>
+                    {t('orders.deleteAll')}
+                </button>
+            </div>
+            <div className="bg-body shadow-sm rounded-2 p-4">
+                <div className="table-responsive">
+                    <table className="table table-hover align-middle text-center">
+                        <thead>
+                            <tr>
+                                <th scope="col">{t('orders.columns.createdAt')}</th>
+                                <th scope="col">{t('orders.columns.id')}</th>
+                                <th scope="col">{t('orders.columns.customer')}</th>
+                                <th scope="col">{t('orders.columns.email')}</th>
+                                <th scope="col">{t('orders.columns.total')}</th>
+                                <th scope="col" className="text-center">
+                                    {t('orders.columns.paid')}
+                                </th>
+                                <th scope="col"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {orders.length === 0 ? (
+                                <tr>
+                                    <td colSpan="7" className="text-secondary py-4">
+                                        {t('orders.empty')}
+                                    </td>
+                                </tr>
+                            ) : (
+                                orders.map((order) => {
+                                    return (
+                                        <tr key={order.id}>
+                                            <td>{formatDate(order.create_at, true)}</td>
+                                            <td className="text-break">{order.id}</td>
+                                            <td>{order.user?.name}</td>
+                                            <td>{order.user?.email}</td>
+                                            <td>{formatNumber(order.total)}</td>
+                                            <td className="text-center">
+                                                <div className="form-check form-switch d-flex justify-content-center align-items-center">
+                                                    <input
+                                                        className="form-check-input"
+                                                        type="checkbox"
+                                                        checked={!!order.is_paid}
+                                                        onChange={() => updatePaidStatus(order.id)}
+                                                    />
+                                                </div>
+                                            </td>
+                                            <td className="text-nowrap">
+                                                <button
+                                                    type="button"
+                                                    className="btn btn-sm btn-outline-success rounded-lg me-2"
+                                                    onClick={() => {
+                                                        openModal('detail', order);
+                                                    }}
+                                                >
+                                                    {t('orders.view')}
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    className="btn btn-sm btn-outline-danger rounded-lg"
+                                                    onClick={() => {
+                                                        openModal('delete', order);
+                                                    }}
+                                                >
+                                                    {t('common.delete')}
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    );
+                                })
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+
+                <Pagination pagination={pagination} onChangePage={(newPage) => setSearchParams({ page: newPage })} />
+            </div>
+
+            {/* Modal */}
+            <OrderModal
+                modalRef={modalRef}
+                getOrders={() => getOrders(page)}
+                templateOrder={templateOrder}
+                modalType={modalType}
+                closeModal={closeModal}
+            />
+        </>
+    );
+};
+
+export default Orders;
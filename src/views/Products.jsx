@@ -0,0 +1,678 @@
+import { useState, useRef, useEffect } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router';
+import { Modal } from 'bootstrap';
+
+// Components
+import Pagination from '../components/Pagination';
+import ProductToolbar from '../components/ProductToolbar';
+import BulkActionBar from '../components/BulkActionBar';
+import ProductImportModal from '../components/ProductImportModal';
+import ProductModal from '../components/ProductModal';
+import CatalogInsights from '../components/CatalogInsights';
+import EditableCell from '../components/EditableCell';
+
+// Utils
+import {
+    initialProduct,
+    duplicateProduct,
+    PRODUCT_FIELDS,
+    pickProductFields,
+    toCSV,
+    downloadFile,
+    toDateInputValue,
+    formatNumber,
+    notify,
+    getErrorMessage,
+    getFieldLabel,
+    validateProductField,
+    canUsePlainShortcut,
+} from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// Store
+import { useLoading } from '../store/LoadingContext';
+import { useProducts } from '../store/ProductsContext';
+
+// API
+import { getAllProductsApi, getProductsAllPagesApi } from '../api/products';
+
+// 路由參數對應的 Modal 類型 (複製產品時以原產品的資料開啟新增)
+const getModalType = (id, mode) => {
+    if (!id) return '';
+    if (id === 'new' || mode === 'duplicate') return 'add';
+    if (mode === 'edit' || mode === 'delete') return mode;
+    return 'preview';
+};
+
+// 表格中可直接編輯的欄位 (Tab 依此順序移動)
+const INLINE_EDIT_FIELDS = ['category', 'origin_price', 'price', 'ticket_quantity'];
+
+// 行內編輯儲存成功後「已儲存」的顯示時間 (毫秒)
+const SAVED_STATUS_DURATION = 2000;
+
+// 行內編輯的值轉成要送出的格式
+// 清空的欄位保留空字串交給必填規則檢查 (Number('') 會變成 0 而通過驗證)
+const parseInlineValue = (field, value) => {
+    const trimmed = value.trim();
+    if (field === 'category' || trimmed === '') return trimmed;
+    return Number(trimmed);
+};
+
+// 產品列的儲存狀態 (更新中、已儲存、失敗)
+const RowSaveStatus = ({ isSaving, status }) => {
+    const { t } = useI18n();
+
+    if (isSaving) {
+        return (
+            <span className="row-save-status" role="status">
+                <span className="spinner-border spinner-border-sm text-secondary" aria-hidden="true"></span>
+                <span className="visually-hidden">{t('inlineEdit.saving')}</span>
+            </span>
+        );
+    }
+    if (status?.state === 'saved') {
+        return (
+            <span
+                className="row-save-status material-symbols-outlined text-success"
+                role="status"
+                aria-label={t('inlineEdit.saved')}
+                title={t('inlineEdit.saved')}
+            >
+                check_circle
+            </span>
+        );
+    }
+    if (status?.state === 'error') {
+        const message = t('inlineEdit.error', { message: status.message });
+        return (
+            <span
+                className="row-save-status material-symbols-outlined text-danger"
+                role="alert"
+                aria-label={message}
+                title={message}
+            >
+                error
+            </span>
+        );
+    }
+    return null;
+};
+
+// 可排序的表頭
+const SortableHeader = ({ field, label, sort, order, onSort }) => {
+    const isActive = sort === field;
+    const icon = !isActive ? 'unfold_more' : order === 'desc' ? 'arrow_downward' : 'arrow_upward';
+
+    return (
+        <th scope="col" aria-sort={isActive ? (order === 'desc' ? 'descending' : 'ascending') : 'none'}>
+            <button
+                type="button"
+                className={`btn-sort d-inline-flex align-items-center ${isActive ? 'active' : ''}`}
+                onClick={() => onSort(field)}
+            >
+                {label}
+                <span className="material-symbols-outlined fs-6 ms-1">{icon}</span>
+            </button>
+        </th>
+    );
+};
+
+// Products 元件
+const Products = () => {
+    const {
+        products,
+        getProducts,
+        refreshProducts,
+        pendingIds,
+        updateProductOptimistic,
+        pagination,
+        categories,
+        getCategories,
+        isRefreshing,
+    } = useProducts();
+    const { withLoading } = useLoading();
+    const { t } = useI18n();
+
+    const navigate = useNavigate();
+    const { id, mode } = useParams();
+    const [searchParams, setSearchParams] = useSearchParams();
+
+    // 查詢條件都放在網址上，切換頁碼或重新整理時不會遺失
+    const page = Number(searchParams.get('page')) || 1;
+    const category = searchParams.get('category') || '';
+    const q = searchParams.get('q') || '';
+    const status = searchParams.get('status') || '';
+    const sort = searchParams.get('sort') || '';
+    const order = searchParams.get('order') || 'asc';
+    const modalType = getModalType(id, mode);
+
+    const [templateProduct, setTemplateProduct] = useState(initialProduct);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [editingCell, setEditingCell] = useState(null); // 行內編輯中的格子 { id, field }
+    const [rowStatus, setRowStatus] = useState({}); // 行內編輯的結果 id → { state: 'saved' | 'error', ... }
+
+    // 勾選的產品 (只限目前頁面)
+    const selectedProducts = products.filter((product) => selectedIds.includes(product.id));
+    const isAllSelected = products.length > 0 && selectedProducts.length === products.length;
+
+    // Modal 相關的 ref
+    const modalRef = useRef(null);
+    const modalInstanceRef = useRef(null);
+    const importModalRef = useRef(null);
+    const importModalInstanceRef = useRef(null);
+
+    // 網址的查詢條件變動時重新取得產品
+    useEffect(() => {
+        getProducts({ page, category, q, status, sort, order });
+    }, [page, category, q, status, sort, order, getProducts]);
+
+    // 取得篩選用的分類
+    useEffect(() => {
+        getCategories();
+    }, [getCategories]);
+
+    // 建立 Modal 實例
+    useEffect(() => {
+        if (!modalRef.current) return;
+        const modalElement = modalRef.current;
+        modalInstanceRef.current = new Modal(modalElement, {
+            keyboard: false, // 禁止使用 ESC 關閉
+        });
+
+        modalElement.addEventListener('hide.bs.modal', () => {
+            if (document.activeElement instanceof HTMLElement) {
+                document.activeElement.blur();
+            }
+        });
+
+        // 清理函式
+        return () => {
+            if (modalInstanceRef.current) {
+                modalInstanceRef.current.dispose();
+            }
+        };
+    }, []);
+
+    // 建立匯入 Modal 實例
+    useEffect(() => {
+        if (!importModalRef.current) return;
+        importModalInstanceRef.current = new Modal(importModalRef.current, {
+            backdrop: 'static', // 匯入中避免誤觸背景關閉
+            keyboard: false,
+        });
+
+        return () => {
+            if (importModalInstanceRef.current) {
+                importModalInstanceRef.current.dispose();
+            }
+        };
+    }, []);
+
+    // 點擊背景等方式關閉 Modal 時，同步把網址切回列表
+    useEffect(() => {
+        const modalElement = modalRef.current;
+        if (!modalElement) return;
+
+        const handleHidden = () => {
+            if (modalType) {
+                navigate({ pathname: '/products', search: searchParams.toString() });
+            }
+        };
+        modalElement.addEventListener('hidden.bs.modal', handleHidden);
+
+        return () => {
+            modalElement.removeEventListener('hidden.bs.modal', handleHidden);
+        };
+    }, [modalType, navigate, searchParams]);
+
+    // 依網址開關 Modal，直接開啟連結時若目前頁面沒有該產品，就從全部產品中尋找
+    // 只在網址變動時處理，產品列表更新 (例如切換啟用狀態) 不會重新開啟 Modal 而清掉表單
+    const openedRouteRef = useRef(null);
+    useEffect(() => {
+        const route = `${modalType}/${id}/${mode}`;
+        if (openedRouteRef.current === route) return;
+        openedRouteRef.current = route;
+
+        if (!modalType) {
+            modalInstanceRef.current?.hide();
+            return;
+        }
+
+        const showModal = (product) => {
+            setTemplateProduct({
+                ...initialProduct,
+                ...product,
+            });
+            modalInstanceRef.current?.show();
+        };
+
+        if (id === 'new') {
+            showModal(initialProduct);
+            return;
+        }
+
+        // 複製時清除 id 並改為停用，其餘沿用原產品
+        const showProduct = (product) => showModal(mode === 'duplicate' ? duplicateProduct(product) : product);
+
+        const target = products.find((product) => product.id === id);
+        if (target) {
+            showProduct(target);
+            return;
+        }
+
+        const findProduct = async () => {
+            try {
+                const res = await getAllProductsApi();
+                const product = res.data.products[id];
+
+                if (!product) {
+                    notify.error(t('productList.notFound'));
+                    navigate({ pathname: '/products', search: searchParams.toString() }, { replace: true });
+                    return;
+                }
+                showProduct(product);
+            } catch {
+                // 錯誤訊息已由 API 攔截器通知
+            }
+        };
+        withLoading(findProduct);
+    }, [modalType, id, mode, products, navigate, searchParams, withLoading, t]);
+
+    // 按 N 新增產品
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key.toLowerCase() !== 'n' || e.shiftKey || !canUsePlainShortcut(e)) return;
+            e.preventDefault();
+            navigate({ pathname: '/products/new', search: searchParams.toString() });
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [navigate, searchParams]);
+
+    // 彈窗開關狀態 (改為切換網址)
+    const openModal = (type, product = initialProduct) => {
+        const path = type === 'add' ? 'new' : type === 'preview' ? product.id : `${product.id}/${type}`;
+        navigate({ pathname: `/products/${path}`, search: searchParams.toString() });
+    };
+    const closeModal = () => {
+        navigate({ pathname: '/products', search: searchParams.toString() });
+    };
+
+    // 匯出全部產品 (逐頁取得後合併)
+    const exportProducts = async (format) => {
+        try {
+            const allProducts = await withLoading(getProductsAllPagesApi);
+            const rows = allProducts.map(pickProductFields);
+            const filename = `products-${toDateInputValue(Date.now() / 1000).replace(/-/g, '')}.${format}`;
+
+            if (format === 'csv') {
+                const csvRows = rows.map((row) => ({ ...row, imagesUrl: row.imagesUrl.join('|') }));
+                // 加上 BOM 讓 Excel 正確判斷 UTF-8
+                downloadFile(`\uFEFF${toCSV(csvRows, PRODUCT_FIELDS)}`, filename, 'text/csv;charset=utf-8');
+            } else {
+                downloadFile(JSON.stringify(rows, null, 2), filename, 'application/json');
+            }
+            notify.success(t('productList.exported', { count: rows.length }));
+        } catch {
+            // 錯誤訊息已由 API 攔截器通知
+        }
+    };
+
+    // 更新查詢條件，空值從網址移除，條件變動時回到第一頁
+    const updateQuery = (changes) => {
+        setSelectedIds([]);
+        setSearchParams((prev) => {
+            const params = new URLSearchParams(prev);
+            Object.entries(changes).forEach(([key, value]) => {
+                if (value) {
+                    params.set(key, value);
+                } else {
+                    params.delete(key);
+                }
+            });
+            if (!('page' in changes)) {
+                params.delete('page');
+            }
+            return params;
+        });
+    };
+
+    // 切換頁碼
+    const handleChangePage = (newPage) => {
+        updateQuery({ page: newPage });
+    };
+
+    // 切換排序：遞增 → 遞減 → 取消
+    const handleSort = (field) => {
+        if (sort !== field) {
+            updateQuery({ sort: field, order: 'asc' });
+        } else if (order === 'asc') {
+            updateQuery({ sort: field, order: 'desc' });
+        } else {
+            updateQuery({ sort: '', order: '' });
+        }
+    };
+
+    // 勾選單一產品
+    const toggleSelect = (id) => {
+        setSelectedIds((prev) => (prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]));
+    };
+
+    // 勾選目前頁面全部產品
+    const toggleSelectAll = () => {
+        setSelectedIds(isAllSelected ? [] : products.map((product) => product.id));
+    };
+
+    // 批次操作完成後清除勾選並重新整理
+    const handleBulkComplete = async () => {
+        setSelectedIds([]);
+        await refreshProducts();
+    };
+
+    // 更新產品狀態 (開關會立即切換，失敗時還原)
+    const updateProductStatus = async (product) => {
+        try {
+            const res = await updateProductOptimistic(product.id, { is_enabled: product.is_enabled === 1 ? 0 : 1 });
+            if (res) notify.success(res.data.message);
+        } catch {
+            // 錯誤訊息已由 API 攔截器通知
+        }
+    };
+
+    // 行內編輯儲存後要移動到的格子 (Tab 移到下一欄、Enter 移到下一列，超出表格時結束編輯)
+    const getNextCell = (id, field, direction) => {
+        if (!direction) return null;
+
+        let row = products.findIndex((product) => product.id === id);
+        let col = INLINE_EDIT_FIELDS.indexOf(field);
+
+        if (direction === 'next' || direction === 'prev') {
+            col += direction === 'next' ? 1 : -1;
+            if (col >= INLINE_EDIT_FIELDS.length) {
+                col = 0;
+                row += 1;
+            } else if (col < 0) {
+                col = INLINE_EDIT_FIELDS.length - 1;
+                row -= 1;
+            }
+        } else {
+            row += direction === 'down' ? 1 : -1;
+        }
+
+        const product = products[row];
+        return product ? { id: product.id, field: INLINE_EDIT_FIELDS[col] } : null;
+    };
+
+    // 儲存行內編輯 (畫面先更新，同一列連續修改會依序送出)
+    const saveInlineEdit = async (product, field, value, direction) => {
+        setEditingCell(getNextCell(product.id, field, direction));
+
+        const parsed = parseInlineValue(field, value);
+        if (String(parsed) === String(product[field])) return;
+
+        try {
+            await updateProductOptimistic(product.id, { [field]: parsed }, { queue: true });
+            if (field === 'category') getCategories();
+
+            const savedAt = Date.now();
+            setRowStatus((prev) => ({ ...prev, [product.id]: { state: 'saved', savedAt } }));
+            setTimeout(() => {
+                setRowStatus((prev) => {
+                    if (prev[product.id]?.savedAt !== savedAt) return prev;
+                    const { [product.id]: _saved, ...rest } = prev;
+                    return rest;
+                });
+            }, SAVED_STATUS_DURATION);
+        } catch (error) {
+            setRowStatus((prev) => ({ ...prev, [product.id]: { state: 'error', message: getErrorMessage(error) } }));
+        }
+    };
+
+    // 可行內編輯的格子
+    const renderEditableCell = (product, field, display, type = 'number') => (
+        <EditableCell
+            value={product[field]}
+            display={display}
+            label={getFieldLabel(field)}
+            type={type}
+            listId={field === 'category' ? 'inlineEditCategories' : undefined}
+            isEditing={editingCell?.id === product.id && editingCell?.field === field}
+            validate={(value) => validateProductField(product, field, parseInlineValue(field, value))}
+            onStartEdit={() => setEditingCell({ id: product.id, field })}
+            onSave={(value, direction) => saveInlineEdit(product, field, value, direction)}
+            onCancel={() => setEditingCell(null)}
+        />
+    );
+
+    return (
+        <>
+            <div className="d-flex justify-content-end gap-2 mb-4">
+                {isRefreshing && (
+                    <div className="d-flex align-items-center small text-secondary me-auto" role="status">
+                        <span className="spinner-border spinner-border-sm me-2" aria-hidden="true"></span>
+                        {t('common.updating')}
+                    </div>
+                )}
+                <button
+                    type="button"
+                    className="btn btn-outline-primary d-flex align-items-center"
+                    onClick={() => importModalInstanceRef.current.show()}
+                >
+                    <span className="material-symbols-outlined fs-5 me-1">upload</span>
+                    {t('productList.import')}
+                </button>
+                <div className="dropdown">
+                    <button
+                        type="button"
+                        className="btn btn-outline-primary d-flex align-items-center dropdown-toggle"
+                        data-bs-toggle="dropdown"
+                        aria-expanded="false"
+                    >
+                        <span className="material-symbols-outlined fs-5 me-1">download</span>
+                        {t('productList.export')}
+                    </button>
+                    <ul className="dropdown-menu dropdown-menu-end">
+                        <li>
+                            <button type="button" className="dropdown-item" onClick={() => exportProducts('csv')}>
+                                CSV
+                            </button>
+                        </li>
+                        <li>
+                            <button type="button" className="dropdown-item" onClick={() => exportProducts('json')}>
+                                JSON
+                            </button>
+                        </li>
+                    </ul>
+                </div>
+                <button
+                    type="button"
+                    className="btn btn-primary text-white d-flex align-items-center"
+                    onClick={() => {
+                        openModal('add');
+                    }}
+                >
+                    <span className="material-symbols-outlined fs-5">add</span>
+                    {t('product.modalTitle.add')}
+                </button>
+            </div>
+            <CatalogInsights onSelectProduct={(product) => openModal('preview', product)} />
+            <div className="bg-body shadow-sm rounded-2 p-4">
+                <ProductToolbar filters={{ q, category, status }} categories={categories} onChange={updateQuery} />
+                <BulkActionBar
+                    selectedProducts={selectedProducts}
+                    categories={categories}
+                    onClearSelection={() => setSelectedIds([])}
+                    onComplete={handleBulkComplete}
+                />
+                <div className="table-responsive">
+                    <table className="table table-hover align-middle text-center">
+                        <thead>
+                            <tr>
+                                <th scope="col">
+                                    <input
+                                        className="form-check-input"
+                                        type="checkbox"
+                                        aria-label={t('productList.selectAll')}
+                                        checked={isAllSelected}
+                                        ref={(el) => {
+                                            if (el) el.indeterminate = selectedProducts.length > 0 && !isAllSelected;
+                                        }}
+                                        onChange={toggleSelectAll}
+                                    />
+                                </th>
+                                <th scope="col">{t('productList.image')}</th>
+                                <th scope="col">{t('product.fields.category')}</th>
+                                <th scope="col">{t('product.fields.title')}</th>
+                                <SortableHeader
+                                    field="origin_price"
+                                    label={t('product.fields.origin_price')}
+                                    sort={sort}
+                                    order={order}
+                                    onSort={handleSort}
+                                />
+                                <SortableHeader
+                                    field="price"
+                                    label={t('product.fields.price')}
+                                    sort={sort}
+                                    order={order}
+                                    onSort={handleSort}
+                                />
+                                <SortableHeader
+                                    field="ticket_quantity"
+                                    label={t('product.fields.ticket_quantity')}
+                                    sort={sort}
+                                    order={order}
+                                    onSort={handleSort}
+                                />
+                                <th scope="col" className="text-center">
+                                    {t('product.fields.is_enabled')}
+                                </th>
+                                <th scope="col"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {products.length === 0 && (
+                                <tr>
+                                    <td colSpan="9" className="text-secondary py-4">
+                                        {t('productList.empty')}
+                                    </td>
+                                </tr>
+                            )}
+                            {products.map((product) => {
+                                return (
+                                    <tr
+                                        key={product.id}
+                                        className={`${selectedIds.includes(product.id) ? 'table-active' : ''} ${pendingIds.includes(product.id) ? 'is-pending' : ''}`}
+                                    >
+                                        <td>
+                                            <input
+                                                className="form-check-input"
+                                                type="checkbox"
+                                                aria-label={t('productList.select', { title: product.title })}
+                                                checked={selectedIds.includes(product.id)}
+                                                onChange={() => toggleSelect(product.id)}
+                                            />
+                                        </td>
+                                        <td>
+                                            <img className="img-thumbnail" src={product.imageUrl} alt={product.title} />
+                                        </td>
+                                        {renderEditableCell(product, 'category', product.category, 'text')}
+                                        <td>
+                                            {product.title}
+                                            <RowSaveStatus
+                                                isSaving={pendingIds.includes(product.id)}
+                                                status={rowStatus[product.id]}
+                                            />
+                                        </td>
+                                        {renderEditableCell(
+                                            product,
+                                            'origin_price',
+                                            formatNumber(product.origin_price)
+                                        )}
+                                        {renderEditableCell(product, 'price', formatNumber(product.price))}
+                                        {renderEditableCell(
+                                            product,
+                                            'ticket_quantity',
+                                            formatNumber(product.ticket_quantity)
+                                        )}
+                                        <td className="text-center">
+                                            <div className="form-check form-switch d-flex justify-content-center align-items-center">
+                                                <input
+                                                    className="form-check-input"
+                                                    type="checkbox"
+                                                    checked={product.is_enabled === 1}
+                                                    aria-busy={pendingIds.includes(product.id)}
+                                                    onChange={() => updateProductStatus(product)}
+                                                />
+                                            </div>
+                                        </td>
+                                        <td className="text-nowrap">
+                                            <button
+                                                type="button"
+                                                className="btn btn-sm btn-outline-success rounded-lg me-2"
+                                                onClick={() => {
+                                                    openModal('preview', product);
+                                                }}
+                                            >
+                                                {t('productList.preview')}
+                                            </button>
+                                            <button
+                                                type="button"
+                                                className="btn btn-sm btn-outline-primary rounded-lg me-2"
+                                                onClick={() => {
+                                                    openModal('edit', product);
+                                                }}
+                                            >
+                                                {t('common.edit')}
+                                            </button>
+                                            <button
+                                                type="button"
+                                                className="btn btn-sm btn-outline-secondary rounded-lg me-2"
+                                                onClick={() => {
+                                                    openModal('duplicate', product);
+                                                }}
+                                            >
+                                                {t('productList.duplicate')}
+                                            </button>
+                                            <button
+                                                type="button"
+                                                className="btn btn-sm btn-outline-danger rounded-lg"
+                                                onClick={() => {
+                                                    openModal('delete', product);
+                                                }}
+                                            >
+                                                {t('common.delete')}
+                                            </button>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                    <datalist id="inlineEditCategories">
+                        {categories.map((item) => (
+                            <option key={item} value={item} />
+                        ))}
+                    </datalist>
+                </div>
+
+                <Pagination pagination={pagination} onChangePage={handleChangePage} />
+            </div>
+            {/* Modal */}
+            <ProductModal
+                modalRef={modalRef}
+                templateProduct={templateProduct}
+                modalType={modalType}
+                duplicateOf={mode === 'duplicate' ? id : ''}
+                closeModal={closeModal}
+                onProductChange={(product) => setTemplateProduct({ ...initialProduct, ...product })}
+            />
+            <ProductImportModal modalRef={importModalRef} closeModal={() => importModalInstanceRef.current.hide()} />
+        </>
+    );
+};
+
+export default Products;
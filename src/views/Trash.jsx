@@ -0,0 +1,241 @@
+import { useState, useRef, useEffect } from 'react';
+
+// Utils
+import {
+    getTrash,
+    removeFromTrash,
+    clearTrash,
+    recordProductHistory,
+    formatDate,
+    formatNumber,
+    notify,
+} from '../utils';
+
+// i18n
+import { useI18n } from '../i18n';
+
+// Store
+import { useLoading } from '../store/LoadingContext';
+import { useProducts } from '../store/ProductsContext';
+
+// API
+import { addProductApi, findAddedProductApi } from '../api/products';
+
+// Trash 元件 (已刪除產品的完整資料，可重新新增還原或永久刪除)
+const Trash = () => {
+    const { withLoading } = useLoading();
+    const { refreshProducts } = useProducts();
+    const { t } = useI18n();
+
+    const [entries, setEntries] = useState(null); // null: 讀取中
+    const [confirmingId, setConfirmingId] = useState(null); // 'all' 代表清空垃圾桶
+    const [reloadKey, setReloadKey] = useState(0);
+    const [restoringIds, setRestoringIds] = useState([]);
+    // 還原中的項目 (同步檢查，避免連點重複新增)
+    const restoringRef = useRef(new Set());
+
+    // 讀取垃圾桶
+    useEffect(() => {
+        let ignore = false;
+
+        getTrash()
+            .then((result) => {
+                if (!ignore) setEntries(result);
+            })
+            .catch(() => {
+                if (!ignore) setEntries([]);
+            });
+
+        return () => {
+            ignore = true;
+        };
+    }, [reloadKey]);
+
+    const reload = () => setReloadKey((prev) => prev + 1);
+
+    const setRestoring = (id, isRestoring) => {
+        if (isRestoring) {
+            restoringRef.current.add(id);
+        } else {
+            restoringRef.current.delete(id);
+        }
+        setRestoringIds([...restoringRef.current]);
+    };
+
+    // 還原：以刪除前的資料重新新增 (會得到新的 id)，新增成功即視為完成
+    const restore = async (entry) => {
+        if (restoringRef.current.has(entry.id)) return;
+
+        const { id: _id, ...data } = entry.product;
+        setRestoring(entry.id, true);
+
+        try {
+            await withLoading(() => addProductApi({ data }));
+        } catch {
+            // 錯誤訊息已由 API 攔截器通知
+            setRestoring(entry.id, false);
+            return;
+        }
+
+        notify.success(t('trash.restored', { title: data.title }));
+
+        // 新增的 API 不會回傳 id，另外查詢後再寫入紀錄
+        findAddedProductApi(data)
+            .then((product) => recordProductHistory('add', { after: product }))
+            .catch(() => {});
+
+        refreshProducts({ type: 'add', product: data });
+
+        try {
+            await removeFromTrash(entry.id);
+        } catch {
+            notify.error(t('trash.storageError'));
+        }
+        setRestoring(entry.id, false);
+        reload();
+    };
+
+    // 永久刪除 (只移除本機保存的資料，產品已在刪除時從後端移除)
+    const purge = async (entry) => {
+        setConfirmingId(null);
+        try {
+            await removeFromTrash(entry.id);
+            notify.success(t('trash.purged', { title: entry.product.title }));
+        } catch {
+            notify.error(t('trash.storageError'));
+        }
+        reload();
+    };
+
+    const purgeAll = async () => {
+        setConfirmingId(null);
+        try {
+            await clearTrash();
+            notify.success(t('trash.emptied'));
+        } catch {
+            notify.error(t('trash.storageError'));
+        }
+        reload();
+    };
+
+    return (
+        <div className="bg-body shadow-sm rounded-2 p-4">
+            <div className="d-flex flex-wrap align-items-center gap-2 mb-3">
+                <p className="text-secondary small mb-0 me-auto">{t('trash.hint')}</p>
+                {confirmingId === 'all' ? (
+                    <>
+                        <span className="text-danger small">{t('trash.confirmEmpty')}</span>
+                        <button type="button" className="btn btn-sm btn-danger text-white" onClick={purgeAll}>
+                            {t('trash.empty')}
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-sm btn-outline-secondary"
+                            onClick={() => setConfirmingId(null)}
+                        >
+                            {t('common.cancel')}
+                        </button>
+                    </>
+                ) : (
+                    <button
+                        type="button"
+                        className="btn btn-sm btn-outline-danger d-flex align-items-center"
+                        disabled={!entries?.length}
+                        onClick={() => setConfirmingId('all')}
+                    >
+                        <span className="material-symbols-outlined fs-5 me-1">delete_forever</span>
+                        {t('trash.empty')}
+                    </button>
+                )}
+            </div>
+            <div className="table-responsive">
+                <table className="table table-hover align-middle text-center">
+                    <thead>
+                        <tr>
+                            <th scope="col">{t('trash.columns.image')}</th>
+                            <th scope="col">{t('trash.columns.category')}</th>
+                            <th scope="col">{t('trash.columns.title')}</th>
+                            <th scope="col">{t('trash.columns.price')}</th>
+                            <th scope="col">{t('trash.columns.deletedAt')}</th>
+                            <th scope="col">{t('trash.columns.deletedBy')}</th>
+                            <th scope="col"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entries === null && (
+                            <tr>
+                                <td colSpan="7" className="text-secondary py-4">
+                                    {t('trash.loading')}
+                                </td>
+                            </tr>
+                        )}
+                        {entries?.length === 0 && (
+                            <tr>
+                                <td colSpan="7" className="text-secondary py-4">
+                                    {t('trash.emptyList')}
+                                </td>
+                            </tr>
+                        )}
+                        {entries?.map((entry) => (
+                            <tr key={entry.id}>
+                                <td>
+                                    <img
+                                        className="img-thumbnail"
+                                        src={entry.product.imageUrl}
+                                        alt={entry.product.title}
+                                    />
+                                </td>
+                                <td>{entry.product.category}</td>
+                                <td>{entry.product.title}</td>
+                                <td>{formatNumber(entry.product.price)}</td>
+                                <td className="small">{formatDate(entry.deletedAt / 1000, true)}</td>
+                                <td className="small">{entry.account || t('history.unknownAccount')}</td>
+                                <td className="text-nowrap">
+                                    {confirmingId === entry.id ? (
+                                        <>
+                                            <button
+                                                type="button"
+                                                className="btn btn-sm btn-danger text-white rounded-lg me-2"
+                                                onClick={() => purge(entry)}
+                                            >
+                                                {t('trash.confirmPurge')}
+                                            </button>
+                                            <button
+                                                type="button"
+                                                className="btn btn-sm btn-outline-secondary rounded-lg"
+                                                onClick={() => setConfirmingId(null)}
+                                            >
+                                                {t('common.cancel')}
+                                            </button>
+                                        </>
+                                    ) : (
+                                        <>
+                                            <button
+                                                type="button"
+                                                className="btn btn-sm btn-outline-primary rounded-lg me-2"
+                                                disabled={restoringIds.includes(entry.id)}
+                                                onClick={() => restore(entry)}
+                                            >
+                                                {t('trash.restore')}
+                                            </button>
+                                            <button
+                                                type="button"
+                                                className="btn btn-sm btn-outline-danger rounded-lg"
+                                                disabled={restoringIds.includes(entry.id)}
+                                                onClick={() => setConfirmingId(entry.id)}
+                                            >
+                                                {t('trash.purge')}
+                                            </button>
+                                        </>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default Trash;